@@ -0,0 +1,24 @@
+/**
+ * Cloud Functions entry point
+ *
+ * Run locally against the emulators with `npm run serve` from this directory.
+ */
+
+import { initializeApp } from 'firebase-admin/app';
+import { onCall } from 'firebase-functions/v2/https';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { handleSubmitResult } from './submitResult.js';
+import { handleStartScheduledRound, runScheduledStartSweep } from './scheduledStart.js';
+import { handleFinishRoundCountdown } from './roundCountdown.js';
+
+initializeApp();
+
+// Trusted scoring; the only writer of the results collection
+export const submitResult = onCall(handleSubmitResult);
+
+// Scheduled round starts: on request when a page's countdown ends, and a sweep for rooms nobody has open
+export const startScheduledRound = onCall(handleStartScheduledRound);
+export const scheduledRoundStart = onSchedule('every 1 minutes', runScheduledStartSweep);
+
+// The only writer of roundStartedAt: pages call it when the 3-2-1 reaches zero
+export const finishRoundCountdown = onCall(handleFinishRoundCountdown);
@@ -0,0 +1,106 @@
+/**
+ * Round Countdown Functions
+ *
+ * Move a room from round{n}_countdown to round{n} once its 3-2-1 has ended, and
+ * stamp roundStartedAt with the server's end of the countdown:
+ * - finishRoundCountdown (callable): pages call it when their countdown reaches zero
+ * - the scheduledRoundStart sweep finishes countdowns nobody has open
+ *
+ * The round clock is only ever written here, so a participant cannot start a
+ * round early or move its start time.
+ */
+
+import { HttpsError } from 'firebase-functions/v2/https';
+import { getFirestore, FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { COUNTDOWN_SECONDS, getCountdownEndsAt, getCountdownStates } from './shared/roundStart.js';
+
+// Allowed clock drift between the page that asks and the server
+const CLOCK_TOLERANCE_MS = 1000;
+
+/**
+ * Start a room's round if its countdown has ended
+ * @param {FirebaseFirestore.Firestore} db - Firestore
+ * @param {string} roomId - Room ID
+ * @param {number} nowMs - Server time in milliseconds
+ * @returns {Promise<Object>} - { started, reason, endsAt } (reason is null when started)
+ */
+export async function finishRoundCountdown(db, roomId, nowMs) {
+  const roomRef = db.collection('rooms').doc(roomId);
+  return db.runTransaction(async (transaction) => {
+    const roomSnap = await transaction.get(roomRef);
+    if (!roomSnap.exists) {
+      return { started: false, reason: 'Room not found', endsAt: null };
+    }
+    const room = roomSnap.data();
+    const match = /^round(\d+)_countdown$/.exec(room.status || '');
+    if (!match) {
+      return { started: false, reason: 'No countdown is running', endsAt: null };
+    }
+    const endsAt = getCountdownEndsAt(room);
+    if (!endsAt) {
+      return { started: false, reason: 'The countdown has no start time', endsAt: null };
+    }
+    if (endsAt > nowMs + CLOCK_TOLERANCE_MS) {
+      return { started: false, reason: 'The countdown has not ended yet', endsAt: endsAt };
+    }
+
+    // The round clock starts at the end of the countdown, however late this runs
+    transaction.update(roomRef, {
+      status: `round${match[1]}`,
+      roundStartedAt: Timestamp.fromMillis(endsAt),
+      lastUpdated: FieldValue.serverTimestamp()
+    });
+    return { started: true, reason: null, endsAt: endsAt };
+  });
+}
+
+/**
+ * Callable: start the round whose countdown reached zero on the caller's page
+ * A page whose clock runs a little fast is held until the countdown ends on the
+ * server, so it does not have to ask again. Repeated calls are harmless.
+ * @param {Object} request - Callable request ({ auth, data })
+ * @param {string} request.data.roomId - Room ID
+ * @returns {Promise<Object>} - { success, started, reason }
+ */
+export async function handleFinishRoundCountdown(request) {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Sign in to start a round');
+  }
+  const roomId = typeof request.data?.roomId === 'string' ? request.data.roomId : '';
+  if (!roomId) {
+    throw new HttpsError('invalid-argument', 'Room ID is required');
+  }
+
+  const db = getFirestore();
+  let outcome = await finishRoundCountdown(db, roomId, Date.now());
+  const remainingMs = outcome.endsAt ? outcome.endsAt - Date.now() : 0;
+  if (!outcome.started && remainingMs > 0 && remainingMs <= COUNTDOWN_SECONDS * 1000) {
+    await new Promise(resolve => setTimeout(resolve, remainingMs));
+    outcome = await finishRoundCountdown(db, roomId, Date.now());
+  }
+  return { success: true, started: outcome.started, reason: outcome.reason };
+}
+
+/**
+ * Start every room whose countdown has ended but is still in it
+ * Covers rooms started by the schedule and rooms whose pages all closed mid-countdown.
+ * @param {FirebaseFirestore.Firestore} db - Firestore
+ * @param {number} nowMs - Server time in milliseconds
+ * @returns {Promise<void>}
+ */
+export async function finishOverdueCountdowns(db, nowMs) {
+  const counting = await db.collection('rooms')
+    .where('status', 'in', getCountdownStates())
+    .get();
+
+  for (const roomDoc of counting.docs) {
+    const endsAt = getCountdownEndsAt(roomDoc.data());
+    if (!endsAt || endsAt > nowMs + CLOCK_TOLERANCE_MS) continue;
+    try {
+      const outcome = await finishRoundCountdown(db, roomDoc.id, nowMs);
+      console.log(`[RoundCountdown] Room ${roomDoc.id}: ${outcome.started ? 'round started' : outcome.reason}`);
+    } catch (error) {
+      console.error(`[RoundCountdown] Room ${roomDoc.id} failed to start its round:`, error);
+    }
+  }
+}
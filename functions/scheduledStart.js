@@ -0,0 +1,133 @@
+/**
+ * Scheduled Start Functions
+ *
+ * Start round 1 of a room once its scheduledStartAt has come, with the same
+ * planRoundStart() rules as the admin's Start button:
+ * - startScheduledRound (callable): open pages call it when their countdown reaches zero
+ * - scheduledRoundStart (every minute): starts rooms that nobody has open, then
+ *   finishes their countdowns (roundCountdown.js)
+ *
+ * The start runs in a transaction that re-checks the room is still waiting, so a
+ * room starts once however many callers race for it.
+ */
+
+import { HttpsError } from 'firebase-functions/v2/https';
+import { getFirestore, FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { COUNTDOWN_SECONDS, planRoundStart } from './shared/roundStart.js';
+import { finishOverdueCountdowns } from './roundCountdown.js';
+
+// Allowed clock drift between the page that asks and the server
+const CLOCK_TOLERANCE_MS = 1000;
+
+/**
+ * Start a room's first round if its scheduled time has come
+ * A schedule that cannot start (nobody joined, broken config) is cleared with the
+ * reason in scheduledStartError, so the admin can fix it and start by hand.
+ * @param {FirebaseFirestore.Firestore} db - Firestore
+ * @param {string} roomId - Room ID
+ * @param {number} nowMs - Server time in milliseconds
+ * @returns {Promise<Object>} - { started, reason } (reason is null when started)
+ */
+export async function startScheduledRoom(db, roomId, nowMs) {
+  const roomRef = db.collection('rooms').doc(roomId);
+  return db.runTransaction(async (transaction) => {
+    const roomSnap = await transaction.get(roomRef);
+    if (!roomSnap.exists) {
+      return { started: false, reason: 'Room not found' };
+    }
+    const room = roomSnap.data();
+    const startAtMs = room.scheduledStartAt?.toMillis ? room.scheduledStartAt.toMillis() : null;
+    if ((room.status || 'waiting') !== 'waiting') {
+      return { started: false, reason: 'The room has already started' };
+    }
+    if (!startAtMs) {
+      return { started: false, reason: 'The room has no scheduled start' };
+    }
+    if (startAtMs > nowMs + CLOCK_TOLERANCE_MS) {
+      return { started: false, reason: 'The scheduled time has not come yet' };
+    }
+
+    const [configSnap, participantsSnap] = await Promise.all([
+      transaction.get(db.collection('roomConfig').doc(roomId)),
+      transaction.get(db.collection('participants').where('roomId', '==', roomId))
+    ]);
+    const participants = participantsSnap.docs.map(docSnap => ({ id: docSnap.id, data: docSnap.data() }));
+    const plan = planRoundStart(room, configSnap.exists ? configSnap.data() : null, participants, 1);
+    if (plan.error) {
+      transaction.update(roomRef, {
+        scheduledStartAt: null,
+        scheduledStartError: plan.error,
+        lastUpdated: FieldValue.serverTimestamp()
+      });
+      return { started: false, reason: plan.error };
+    }
+
+    // Participants and room change in one commit, so nobody sees the round before their status allows it
+    plan.participantUpdates.forEach(({ id, update }) => {
+      transaction.update(db.collection('participants').doc(id), update);
+    });
+    if (plan.configUpdate) {
+      transaction.update(db.collection('roomConfig').doc(roomId), plan.configUpdate);
+    }
+    transaction.update(roomRef, {
+      ...plan.roomUpdate,
+      countdownStartedAt: FieldValue.serverTimestamp(),
+      lastUpdated: FieldValue.serverTimestamp(),
+      startedBy: 'schedule'
+    });
+    return { started: true, reason: null };
+  });
+}
+
+/**
+ * Callable: start a room whose countdown reached zero on the caller's page
+ * Early and repeated calls are harmless; the server decides from its own clock.
+ * @param {Object} request - Callable request ({ auth, data })
+ * @param {string} request.data.roomId - Room ID
+ * @returns {Promise<Object>} - { success, started, reason }
+ */
+export async function handleStartScheduledRound(request) {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Sign in to start a round');
+  }
+  const roomId = typeof request.data?.roomId === 'string' ? request.data.roomId : '';
+  if (!roomId) {
+    throw new HttpsError('invalid-argument', 'Room ID is required');
+  }
+  const outcome = await startScheduledRoom(getFirestore(), roomId, Date.now());
+  if (outcome.started) {
+    console.log(`[ScheduledStart] Started room ${roomId} at the request of ${request.auth.uid}`);
+  }
+  return { success: true, ...outcome };
+}
+
+/**
+ * Scheduled: start every waiting room whose start time has passed
+ * Rooms it starts get their round once the countdown ends, as does any other
+ * room left in a countdown. Needs the rooms index on status + scheduledStartAt.
+ * @returns {Promise<void>}
+ */
+export async function runScheduledStartSweep() {
+  const db = getFirestore();
+  const nowMs = Date.now();
+  const due = await db.collection('rooms')
+    .where('status', '==', 'waiting')
+    .where('scheduledStartAt', '<=', Timestamp.fromMillis(nowMs))
+    .get();
+
+  let startedCount = 0;
+  for (const roomDoc of due.docs) {
+    try {
+      const outcome = await startScheduledRoom(db, roomDoc.id, nowMs);
+      if (outcome.started) startedCount++;
+      console.log(`[ScheduledStart] Room ${roomDoc.id}: ${outcome.started ? 'started' : outcome.reason}`);
+    } catch (error) {
+      console.error(`[ScheduledStart] Room ${roomDoc.id} failed to start:`, error);
+    }
+  }
+
+  if (startedCount > 0) {
+    await new Promise(resolve => setTimeout(resolve, COUNTDOWN_SECONDS * 1000));
+  }
+  await finishOverdueCountdowns(db, Date.now());
+}
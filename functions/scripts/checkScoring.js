@@ -0,0 +1,49 @@
+/**
+ * Sanity checks for the shared scoring module
+ *
+ * Runs against the copies in functions/shared, so sync first. Run from functions/:
+ *   npm test
+ */
+
+import assert from 'node:assert/strict';
+import { compareTexts, calculateScore, buildErrorReport } from '../shared/scoring.js';
+
+const PARAGRAPH = 'The quick brown fox jumps over the lazy dog and keeps running until the sun goes down.';
+
+// Typing the paragraph exactly is a perfect score
+const exact = calculateScore(PARAGRAPH, PARAGRAPH, 30);
+assert.equal(exact.accuracy, 100);
+assert.equal(exact.insertions, 0);
+
+// Extra characters lower accuracy, and padding every character with junk scores worse than typing cleanly
+const padded = calculateScore(PARAGRAPH, Array.from(PARAGRAPH).map(char => char + 'xq').join(''), 30);
+assert.ok(padded.insertions > 0);
+assert.ok(padded.accuracy < exact.accuracy, `padded accuracy ${padded.accuracy} should be below ${exact.accuracy}`);
+assert.ok(padded.finalScore < exact.finalScore, `padded score ${padded.finalScore} should be below ${exact.finalScore}`);
+
+// A single extra character costs accuracy too
+const oneExtra = calculateScore(PARAGRAPH, PARAGRAPH.replace('quick', 'quiick'), 30);
+assert.equal(oneExtra.insertions, 1);
+assert.ok(oneExtra.accuracy < 100);
+
+// Long paragraphs take the banded alignment: one skipped and one extra character are still one error each
+const LONG = Array.from({ length: 50 }, () => PARAGRAPH).join(' ');
+const longTyped = LONG.slice(0, 1000) + LONG.slice(1001, 3000) + 'z' + LONG.slice(3000);
+const long = calculateScore(LONG, longTyped, 300);
+assert.equal(long.deletions, 1);
+assert.equal(long.insertions, 1);
+assert.equal(long.substitutions, 0);
+
+// Typing far past the paragraph takes the split alignment and accounts for every character
+const junkTyped = LONG + LONG.split('').reverse().join('');
+const junk = compareTexts(LONG, junkTyped);
+assert.equal(junk.ops.filter(entry => entry.typed !== null).length, junk.typed.length);
+assert.equal(junk.ops.filter(entry => entry.expected !== null).length, junk.original.length);
+
+// A shared comparison gives the same score and report as aligning again
+const comparison = compareTexts(PARAGRAPH, PARAGRAPH.replace('quick', 'quiick'));
+assert.deepEqual(calculateScore(PARAGRAPH, PARAGRAPH.replace('quick', 'quiick'), 30, { comparison }), oneExtra);
+assert.deepEqual(buildErrorReport(PARAGRAPH, PARAGRAPH.replace('quick', 'quiick'), { comparison }),
+  buildErrorReport(PARAGRAPH, PARAGRAPH.replace('quick', 'quiick')));
+
+console.log('[CheckScoring] All scoring checks passed');
@@ -0,0 +1,35 @@
+/**
+ * Copy the browser's pure scoring modules into functions/shared
+ *
+ * Functions are deployed from this directory only, so the modules they share
+ * with public/js are copied in before serving or deploying. Run from functions/:
+ *   node scripts/syncShared.js
+ */
+
+import { copyFileSync, mkdirSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// Modules the functions import, with everything they import in turn
+const SHARED_MODULES = [
+  'scoring.js',
+  'scoringProfiles.js',
+  'graphemes.js',
+  'speedMetrics.js',
+  'botDetection.js',
+  'keystrokeReplay.js',
+  'corrections.js',
+  'textNormalization.js',
+  'passageAssignment.js',
+  'roundStart.js'
+];
+
+const functionsDir = join(dirname(fileURLToPath(import.meta.url)), '..');
+const sourceDir = join(functionsDir, '..', 'public', 'js');
+const targetDir = join(functionsDir, 'shared');
+
+mkdirSync(targetDir, { recursive: true });
+SHARED_MODULES.forEach(file => {
+  copyFileSync(join(sourceDir, file), join(targetDir, file));
+});
+console.log(`[SyncShared] Copied ${SHARED_MODULES.length} modules to ${targetDir}`);
@@ -0,0 +1,354 @@
+/**
+ * Submit Result Function
+ *
+ * Trusted scoring for typing rounds. The browser sends what was typed and the
+ * keystroke log; everything that decides the score is taken from the server side:
+ * - The paragraph, scoring mode, scoring profile and correction policy come from roomConfig
+ *   (in rooms with randomized passages, the paragraph is the one startRound assigned to the participant there)
+ * - The participant is the signed-in user, and must belong to the room and play the current round
+ * - The keystroke log must replay to exactly the submitted text within the round's time, and
+ *   neither may be longer than the paragraph and round time allow
+ * - One result per participant and round: results/{roomId}_{round}_{userId}, created in a transaction
+ *
+ * The scoring code is the same module the browser uses (synced into ./shared, see scripts/syncShared.js).
+ */
+
+import { HttpsError } from 'firebase-functions/v2/https';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { compareTexts, calculateScore, buildErrorReport } from './shared/scoring.js';
+import { computeSpeedMetrics } from './shared/speedMetrics.js';
+import { computeSuspicion } from './shared/botDetection.js';
+import { replayKeystrokes } from './shared/keystrokeReplay.js';
+import { normalizeCorrectionPolicy } from './shared/corrections.js';
+import { getAssignedPassage } from './shared/passageAssignment.js';
+
+// Extra seconds accepted after the round timer for network latency and auto-submission
+export const SUBMIT_GRACE_SECONDS = 60;
+
+// Allowed clock drift between browser timings and the server
+const CLOCK_TOLERANCE_MS = 5000;
+
+// Bounds on what one round can produce, so a crafted call cannot stall scoring or
+// push the result past Firestore's document size limit
+const MAX_KEYS_PER_SECOND = 25; // About 300 WPM, beyond the fastest typists
+const MAX_TEXT_FACTOR = 2; // Typed text may run past the paragraph, but not to twice its length
+const MAX_TEXT_SLACK = 200;
+
+// Focus incident types recorded by TypingSession
+const INCIDENT_TYPES = ['tab-hidden', 'window-blur', 'fullscreen-exit', 'page-reload'];
+
+/**
+ * Build the result document ID for a participant's round
+ * @param {string} roomId - Room ID
+ * @param {number} roundNumber - Round number
+ * @param {string} userId - User ID
+ * @returns {string} - Document ID
+ */
+export function getResultId(roomId, roundNumber, userId) {
+  return `${roomId}_${roundNumber}_${userId}`;
+}
+
+/**
+ * Shape a stored result as the score returned to the browser
+ * @param {Object} data - Result document data
+ * @returns {Object} - Score
+ */
+function toScore(data) {
+  return {
+    accuracy: data.accuracy,
+    wpm: data.wpm,
+    netWpm: data.netWpm ?? null,
+    rawWpm: data.rawWpm ?? null,
+    accuracyPoints: data.accuracyPoints ?? null,
+    speedPoints: data.speedPoints ?? null,
+    finalScore: data.finalScore,
+    correctChars: data.correctChars ?? null,
+    incorrectChars: data.incorrectChars ?? null,
+    totalCharsTyped: data.totalCharsTyped ?? null,
+    totalCharsExpected: data.totalCharsExpected ?? null,
+    scoringMode: data.scoringMode ?? null,
+    scoringProfile: data.scoringProfile ?? null,
+    correctionsUsed: data.corrections?.used ?? null,
+    errorReport: data.errorReport || null,
+    speed: data.speed || null
+  };
+}
+
+/**
+ * Copy the keystroke log with only the fields TypingSession records
+ * Values of the wrong type are replaced so replayKeystrokes() rejects the entry.
+ * @param {Array} keystrokes - Keystroke log sent by the browser
+ * @returns {Array<Object>} - { k, n, t, kind } entries, with u: true on untrusted keys
+ */
+function sanitizeKeystrokes(keystrokes) {
+  return keystrokes.map(entry => {
+    const clean = {
+      k: typeof entry?.k === 'string' ? entry.k : null,
+      n: typeof entry?.n === 'number' ? entry.n : null,
+      t: typeof entry?.t === 'number' ? entry.t : null,
+      kind: typeof entry?.kind === 'string' ? entry.kind : null
+    };
+    if (entry?.u === true) clean.u = true;
+    return clean;
+  });
+}
+
+/**
+ * Reject text and keystroke logs longer than the round allows
+ * @param {string} typedText - Submitted text
+ * @param {Array} keystrokes - Submitted keystroke log
+ * @param {string} paragraph - The participant's paragraph
+ * @param {number} roundTimeMs - Round duration in milliseconds
+ */
+function checkSubmissionSize(typedText, keystrokes, paragraph, roundTimeMs) {
+  if (typedText.length > paragraph.length * MAX_TEXT_FACTOR + MAX_TEXT_SLACK) {
+    throw new HttpsError('invalid-argument', 'Typed text is longer than the round allows');
+  }
+  const maxKeystrokes = Math.ceil((roundTimeMs + CLOCK_TOLERANCE_MS) / 1000 * MAX_KEYS_PER_SECOND);
+  if (keystrokes.length > maxKeystrokes) {
+    throw new HttpsError('invalid-argument', 'Keystroke log is longer than the round allows');
+  }
+}
+
+/**
+ * Keep only well-formed focus incidents
+ * @param {Array} incidents - Incidents reported by the browser
+ * @returns {Array<Object>} - { type, t, duration } entries
+ */
+function sanitizeIncidents(incidents) {
+  if (!Array.isArray(incidents)) return [];
+  return incidents
+    .filter(incident => incident && INCIDENT_TYPES.includes(incident.type))
+    .map(incident => ({
+      type: incident.type,
+      t: Number(incident.t) || 0,
+      duration: Number(incident.duration) || 0
+    }));
+}
+
+/**
+ * Load what the submission is checked against
+ * @param {FirebaseFirestore.Firestore} db - Firestore
+ * @param {string} roomId - Room ID
+ * @param {number} roundNumber - Round number
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { room, config, round, participant, passage }
+ */
+async function loadRoundContext(db, roomId, roundNumber, userId) {
+  const [roomSnap, configSnap, participantSnap] = await Promise.all([
+    db.collection('rooms').doc(roomId).get(),
+    db.collection('roomConfig').doc(roomId).get(),
+    db.collection('participants').doc(userId).get()
+  ]);
+
+  if (!roomSnap.exists || !configSnap.exists) {
+    throw new HttpsError('not-found', 'Room not found');
+  }
+  const config = configSnap.data();
+  const round = config.rounds?.[`r${roundNumber}`];
+  if (!round?.paragraph) {
+    throw new HttpsError('failed-precondition', `Round ${roundNumber} is not configured`);
+  }
+  if (!participantSnap.exists || participantSnap.data().roomId !== roomId) {
+    throw new HttpsError('permission-denied', 'You are not a participant in this room');
+  }
+  const room = roomSnap.data();
+  if ((room.currentRound || 1) !== roundNumber) {
+    throw new HttpsError('failed-precondition', `Round ${roundNumber} is not the current round`);
+  }
+  // Later rounds are only for the qualifiers, whom startRound moves into the round
+  const participant = participantSnap.data();
+  if ((participant.currentRound || 1) !== roundNumber || participant.status === 'spectating') {
+    throw new HttpsError('permission-denied', `You are not playing round ${roundNumber}`);
+  }
+  const passage = getAssignedPassage(config, roundNumber, userId);
+  if (!passage) {
+    throw new HttpsError('failed-precondition', `No passage is assigned to you for round ${roundNumber}`);
+  }
+  return { room, config, round, participant, passage };
+}
+
+/**
+ * Check that the submission arrives while the round can still accept it
+ * @param {Object} room - Room document data
+ * @param {Object} round - Round config
+ * @param {number} nowMs - Server time in milliseconds
+ * @returns {number} - Round start in milliseconds
+ */
+function checkSubmissionWindow(room, round, nowMs) {
+  const startedAt = room.roundStartedAt?.toMillis ? room.roundStartedAt.toMillis() : null;
+  const status = room.status || 'waiting';
+  if (!startedAt || status === 'waiting' || status.endsWith('_countdown')) {
+    throw new HttpsError('failed-precondition', 'The round has not started');
+  }
+  const closesAt = startedAt + ((parseInt(round.time) || 0) + SUBMIT_GRACE_SECONDS) * 1000;
+  if (nowMs > closesAt) {
+    throw new HttpsError('deadline-exceeded', 'The round is over; the result arrived too late');
+  }
+  return startedAt;
+}
+
+/**
+ * Validate a submission, score it and store the result
+ * @param {Object} request - Callable request ({ auth, data })
+ * @param {string} request.data.roomId - Room ID
+ * @param {number} request.data.round - Round number
+ * @param {string} request.data.typedText - Final buffer
+ * @param {number} request.data.timeInSeconds - Typing time measured by the browser
+ * @param {Array} request.data.keystrokes - Keystroke log from getKeystrokeLog()
+ * @param {Array} request.data.incidents - Focus incidents from getFocusIncidents()
+ * @param {string} request.data.disqualifyReason - Set when the browser auto-disqualified the participant
+ * @param {string} request.data.inputMode - 'keyboard' or 'touch'
+ * @param {number} request.data.correctionsBlocked - Backspaces refused by the correction policy
+ * @param {boolean} request.data.finishedEarly - Submitted by finishing before the timer expired
+ * @param {Object} request.data.recovery - Crash-recovery outcome from restoreTypingSession(), if any
+ * @param {number} request.data.startDelayMs - Milliseconds from the round start to the first keystroke
+ * @returns {Promise<Object>} - { success, score, alreadySubmitted? }
+ */
+export async function handleSubmitResult(request) {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Sign in to submit a result');
+  }
+  const userId = request.auth.uid;
+  const data = request.data || {};
+  const roomId = typeof data.roomId === 'string' ? data.roomId : '';
+  const roundNumber = parseInt(data.round);
+  if (!roomId || !(roundNumber >= 1) || typeof data.typedText !== 'string' || !Array.isArray(data.keystrokes)) {
+    throw new HttpsError('invalid-argument', 'Invalid input parameters');
+  }
+
+  const db = getFirestore();
+  const resultsRef = db.collection('results');
+  const resultRef = resultsRef.doc(getResultId(roomId, roundNumber, userId));
+
+  // A repeated submission (retry, second tab) gets the stored score back
+  const existing = await resultRef.get();
+  if (existing.exists) {
+    return { success: true, score: toScore(existing.data()), alreadySubmitted: true };
+  }
+
+  const { room, config, round, participant, passage } = await loadRoundContext(db, roomId, roundNumber, userId);
+  const nowMs = Date.now();
+  const roundStartedAt = checkSubmissionWindow(room, round, nowMs);
+  const roundTimeMs = (parseInt(round.time) || 0) * 1000;
+  const originalText = passage.paragraph;
+  checkSubmissionSize(data.typedText, data.keystrokes, originalText, roundTimeMs);
+  const keystrokes = sanitizeKeystrokes(data.keystrokes);
+
+  // The text must be exactly what the logged keys produce under the round's correction policy
+  const correction = normalizeCorrectionPolicy(round.correctionPolicy, round.correctionLimit);
+  const replay = replayKeystrokes(keystrokes, correction);
+  if (replay.error) {
+    throw new HttpsError('invalid-argument', replay.error);
+  }
+  if (replay.text !== data.typedText) {
+    throw new HttpsError('invalid-argument', 'Typed text does not match the keystroke log');
+  }
+  if (replay.lastT > roundTimeMs + CLOCK_TOLERANCE_MS) {
+    throw new HttpsError('invalid-argument', 'Keystroke timings exceed the round time');
+  }
+  // Typing cannot have started before the round did
+  if (keystrokes.length > 0 && nowMs - replay.lastT < roundStartedAt - CLOCK_TOLERANCE_MS) {
+    throw new HttpsError('invalid-argument', 'Keystroke timings predate the round start');
+  }
+
+  // Typing time: at least as long as the log, at most the round
+  const reportedSeconds = Number(data.timeInSeconds);
+  let timeInSeconds = Math.max(isFinite(reportedSeconds) ? reportedSeconds : 0, replay.lastT / 1000, 1);
+  if (roundTimeMs > 0) timeInSeconds = Math.min(timeInSeconds, roundTimeMs / 1000);
+
+  // One alignment of the texts feeds both the score and the error report
+  const comparison = compareTexts(originalText, replay.text, { mode: round.scoringMode, normalization: config.normalization });
+  const score = calculateScore(originalText, replay.text, timeInSeconds, {
+    mode: round.scoringMode,
+    profile: config.scoringProfile,
+    normalization: config.normalization,
+    comparison: comparison
+  });
+  if (isNaN(score.accuracy) || isNaN(score.wpm) || isNaN(score.finalScore)) {
+    throw new HttpsError('internal', 'Invalid score calculation');
+  }
+  const errorReport = buildErrorReport(originalText, replay.text, { comparison: comparison });
+  const startDelayMs = Number(data.startDelayMs);
+  const speed = computeSpeedMetrics(keystrokes, {
+    durationSeconds: timeInSeconds,
+    startDelayMs: isFinite(startDelayMs) && startDelayMs >= 0 && startDelayMs <= roundTimeMs + CLOCK_TOLERANCE_MS ? startDelayMs : undefined
+  });
+
+  const incidents = sanitizeIncidents(data.incidents);
+  const maxIncidents = parseInt(config.maxIncidents) || 0;
+  let disqualifyReason = typeof data.disqualifyReason === 'string' && data.disqualifyReason ? data.disqualifyReason : null;
+  if (!disqualifyReason && maxIncidents > 0 && incidents.length >= maxIncidents) {
+    disqualifyReason = `Left the typing window ${incidents.length} times`;
+  }
+
+  const result = {
+    userId: userId,
+    roomId: roomId,
+    round: roundNumber,
+    userName: participant.name || 'Unknown',
+    paragraph: originalText.trim(),
+    passageId: passage.passageId,
+    wpm: score.wpm,
+    netWpm: score.netWpm,
+    rawWpm: score.rawWpm,
+    accuracy: score.accuracy,
+    accuracyPoints: score.accuracyPoints,
+    speedPoints: score.speedPoints,
+    finalScore: score.finalScore,
+    correctChars: score.correctChars,
+    incorrectChars: score.incorrectChars,
+    substitutions: score.substitutions,
+    insertions: score.insertions,
+    deletions: score.deletions,
+    missingChars: score.missingChars,
+    scoringMode: score.scoringMode,
+    scoringProfile: score.scoringProfile,
+    errorReport: errorReport,
+    speed: speed,
+    totalCharsTyped: score.totalCharsTyped,
+    totalCharsExpected: score.totalCharsExpected,
+    timeInSeconds: timeInSeconds,
+    keystrokes: keystrokes,
+    suspicion: computeSuspicion(keystrokes),
+    incidents: incidents,
+    incidentCount: incidents.length,
+    disqualified: !!disqualifyReason,
+    disqualifyReason: disqualifyReason,
+    inputMode: data.inputMode === 'touch' ? 'touch' : 'keyboard',
+    corrections: {
+      policy: correction.policy,
+      limit: correction.limit,
+      used: replay.corrections,
+      blocked: Math.max(0, parseInt(data.correctionsBlocked) || 0)
+    },
+    completed: score.totalCharsTyped >= score.totalCharsExpected,
+    finishedEarly: !!data.finishedEarly,
+    recovery: data.recovery && typeof data.recovery === 'object' ? {
+      restored: !!data.recovery.restored,
+      restoredChars: parseInt(data.recovery.restoredChars) || 0,
+      gapMs: parseInt(data.recovery.gapMs) || 0,
+      reason: typeof data.recovery.reason === 'string' ? data.recovery.reason : null
+    } : null,
+    scoredBy: 'server',
+    submittedAt: FieldValue.serverTimestamp()
+  };
+
+  // One result per participant and round, including results stored before IDs were deterministic
+  const stored = await db.runTransaction(async (transaction) => {
+    const [current, legacy] = await Promise.all([
+      transaction.get(resultRef),
+      transaction.get(resultsRef.where('roomId', '==', roomId).where('round', '==', roundNumber).where('userId', '==', userId).limit(1))
+    ]);
+    if (current.exists) return current.data();
+    if (!legacy.empty) return legacy.docs[0].data();
+    transaction.create(resultRef, result);
+    return null;
+  });
+
+  if (stored) {
+    return { success: true, score: toScore(stored), alreadySubmitted: true };
+  }
+  console.log(`[SubmitResult] Scored ${userId} in room ${roomId}, round ${roundNumber}: ${score.finalScore}`);
+  return { success: true, score: { ...toScore(result), ...score } };
+}
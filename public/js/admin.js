@@ -9,16 +9,17 @@
  * Admin does NOT manually end rounds
  */
 
-import { db } from './firebase.js';
+import { db, functions } from './firebase.js';
 import { getRoomConfig } from './room.js';
-import { calculateScore } from './scoring.js';
-import { calculateResults } from './roomState.js';
+import { rankResults } from './ranking.js';
+import { calculateResults, getRoundConfig, transitionToResult } from './roomState.js';
+import { clearRoomProgress } from './progress.js';
+import { planRoundStart, validateScheduledStart } from './roundStart.js';
 import {
   collection,
   doc,
   getDoc,
   updateDoc,
-  addDoc,
   getDocs,
   deleteDoc,
   query,
@@ -26,14 +27,21 @@ import {
   orderBy,
   onSnapshot,
   writeBatch,
-  serverTimestamp
+  serverTimestamp,
+  Timestamp
 } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js";
+import { httpsCallable } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-functions.js";
 
 /**
  * Start a round (Admin only)
- * Uses state machine: status = 'round1'
+ * Uses state machine: status = 'round{n}_countdown', then 'round{n}' once the countdown ends
+ * Round 1 starts from 'waiting'; later rounds from the previous round's leaderboard or
+ * their own waiting state. Only participants who qualified from the previous round take
+ * part, everyone else spectates. In rooms with randomized passages each of them is
+ * assigned a passage from the round's pool. The rules live in roundStart.js, shared
+ * with the scheduled start function.
  * @param {string} roomId - Room ID
- * @param {number} roundNumber - Round number (always 1)
+ * @param {number} roundNumber - Round number
  * @returns {Promise<Object>} - Result
  */
 export async function startRound(roomId, roundNumber) {
@@ -45,39 +53,34 @@ export async function startRound(roomId, roundNumber) {
       return { success: false, error: 'Room not found' };
     }
     
-    const currentStatus = roomDoc.data().status || 'waiting';
-    
-    // Only allow starting round 1 from waiting state
-    if (roundNumber !== 1 || currentStatus !== 'waiting') {
-      return { 
-        success: false, 
-        error: `Cannot start round from state: ${currentStatus}` 
-      };
-    }
-    
-    // Update room with new state machine status
-    await updateDoc(roomRef, {
-      status: 'round1',
-      currentRound: 1,
-      roundStatus: 'active', // Keep for backward compatibility
-      roundStartedAt: serverTimestamp(),
-      lastUpdated: serverTimestamp()
-    });
-    
-    // Update participants to 'active' status
+    const roomConfig = await getRoomConfig(roomId);
     const participantsRef = collection(db, 'participants');
     const q = query(participantsRef, where('roomId', '==', roomId));
     const participantsSnapshot = await getDocs(q);
+    const participants = participantsSnapshot.docs.map(docSnap => ({ id: docSnap.id, data: docSnap.data() }));
     
+    const plan = planRoundStart(roomDoc.data(), roomConfig, participants, roundNumber);
+    if (plan.error) {
+      return { success: false, error: plan.error };
+    }
+    
+    // Update participants first so nobody sees the round before their status allows it
     const batch = writeBatch(db);
-    participantsSnapshot.forEach(docSnap => {
-      batch.update(docSnap.ref, {
-        status: 'active',
-        currentRound: 1
-      });
+    plan.participantUpdates.forEach(({ id, update }) => {
+      batch.update(doc(db, 'participants', id), update);
     });
+    if (plan.configUpdate) {
+      batch.update(doc(db, 'roomConfig', roomId), plan.configUpdate);
+    }
     await batch.commit();
     
+    // Update room with new state machine status
+    await updateDoc(roomRef, {
+      ...plan.roomUpdate,
+      countdownStartedAt: serverTimestamp(),
+      lastUpdated: serverTimestamp()
+    });
+    
     console.log(`[Admin] Started round ${roundNumber}`);
     
     return { success: true };
@@ -87,37 +90,90 @@ export async function startRound(roomId, roundNumber) {
   }
 }
 
+/**
+ * Schedule round 1 to start automatically, or clear the schedule
+ * At the scheduled time the startScheduledRound function starts the round with the
+ * same rules as startRound, whether or not an admin page is open.
+ * @param {string} roomId - Room ID
+ * @param {Date|null} startAt - When round 1 starts; null clears the schedule
+ * @returns {Promise<Object>} - { success } or { success: false, error }
+ */
+export async function scheduleRoundStart(roomId, startAt) {
+  try {
+    const roomRef = doc(db, 'rooms', roomId);
+    const roomDoc = await getDoc(roomRef);
+    if (!roomDoc.exists()) {
+      return { success: false, error: 'Room not found' };
+    }
+    if ((roomDoc.data().status || 'waiting') !== 'waiting') {
+      return { success: false, error: 'Only a room that has not started can be scheduled' };
+    }
+    if (startAt) {
+      const scheduleError = validateScheduledStart(startAt.getTime(), Date.now());
+      if (scheduleError) {
+        return { success: false, error: scheduleError };
+      }
+    }
+    await updateDoc(roomRef, {
+      scheduledStartAt: startAt ? Timestamp.fromDate(startAt) : null,
+      scheduledStartError: null,
+      lastUpdated: serverTimestamp()
+    });
+    console.log(`[Admin] ${startAt ? `Scheduled round 1 for ${startAt.toISOString()}` : 'Cleared the scheduled start'}`);
+    return { success: true };
+  } catch (error) {
+    console.error('Schedule round start error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Ask the server to start a room whose scheduled start time has come
+ * Called by open pages when their countdown reaches zero; the function checks the
+ * time itself, so early or repeated calls change nothing.
+ * @param {string} roomId - Room ID
+ * @returns {Promise<Object>} - { success, started, reason } or { success: false, error }
+ */
+export async function requestScheduledStart(roomId) {
+  try {
+    const startScheduledRound = httpsCallable(functions, 'startScheduledRound');
+    const response = await startScheduledRound({ roomId: roomId });
+    return response.data;
+  } catch (error) {
+    console.error('Request scheduled start error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * End the round and calculate qualifications
+ * Moves the room to the round's result screen; the result and leaderboard timeouts
+ * (see roomState.js) then lead to the next round or the end of the competition.
  * @param {string} roomId - Room ID
- * @param {number} roundNumber - Round number (always 1)
+ * @param {number} roundNumber - Round number
  * @returns {Promise<Object>} - Result
  */
 export async function endRound(roomId, roundNumber) {
   try {
     console.log(`Ending round ${roundNumber} for room ${roomId}`);
     
-    // Get room config to determine winner count
-    const configRef = doc(db, 'roomConfig', roomId);
-    const configDoc = await getDoc(configRef);
-    let qualifyCount = 3; // Default
-    if (configDoc.exists()) {
-      qualifyCount = configDoc.data().rounds?.r1?.qualifyCount || 3;
-    }
+    // Get room config to determine qualify count
+    const roundConfig = getRoundConfig(await getRoomConfig(roomId), roundNumber);
+    const qualifyCount = roundConfig?.qualifyCount || 3;
     
     // Calculate results and determine qualifications
     const resultsCalculation = await calculateResults(roomId, roundNumber, qualifyCount);
     
-    // Update room status to completed
-    const roomRef = doc(db, 'rooms', roomId);
-    await updateDoc(roomRef, {
-      status: 'completed',
+    // Show everyone their result
+    const transition = await transitionToResult(roomId, roundNumber, {
       roundStatus: 'completed',
-      currentRound: 1,
-      roundEndedAt: serverTimestamp(),
       qualifyCount: qualifyCount,
+      qualifiedCount: resultsCalculation.qualified || 0,
       totalParticipants: resultsCalculation.results?.length || 0
     });
+    if (!transition.success) {
+      throw new Error(transition.error);
+    }
     
     console.log(`Round ${roundNumber} ended successfully. ${qualifyCount} participants qualified.`);
     return {
@@ -135,110 +191,50 @@ export async function endRound(roomId, roundNumber) {
 }
 
 /**
- * Submit typing result
- * @param {string} userId - User ID
+ * Submit typing result for trusted scoring
+ * The submitResult Cloud Function checks the text against the keystroke log, scores it
+ * against the participant's passage (see getAssignedPassage) with the room's configuration
+ * and stores the result; the browser never writes results.
  * @param {string} roomId - Room ID
  * @param {number} roundNumber - Round number
- * @param {string} originalText - Original paragraph
  * @param {string} typedText - Typed text
  * @param {number} timeInSeconds - Time taken
- * @param {string} userName - User's game name (optional, will be fetched if not provided)
- * @returns {Promise<Object>} - Result
+ * @param {Object} typingData - Extra capture data from the typing engine (optional)
+ * @param {Array} typingData.keystrokes - Keystroke log from getKeystrokeLog()
+ * @param {Array} typingData.incidents - Focus incidents from getFocusIncidents()
+ * @param {string} typingData.disqualifyReason - Set when the participant was auto-disqualified
+ * @param {string} typingData.inputMode - 'keyboard' or 'touch'
+ * @param {Object} typingData.corrections - Correction usage from getCorrectionStats()
+ * @param {boolean} typingData.finishedEarly - Submitted by finishing before the timer expired
+ * @param {Object} typingData.recovery - Crash-recovery outcome from restoreTypingSession(), if any
+ * @param {number} typingData.startDelayMs - Milliseconds from the round start to the first keystroke
+ * @returns {Promise<Object>} - { success, score, alreadySubmitted } or { success: false, error }
  */
-export async function submitTypingResult(userId, roomId, roundNumber, originalText, typedText, timeInSeconds, userName = null) {
+export async function submitTypingResult(roomId, roundNumber, typedText, timeInSeconds, typingData = {}) {
   try {
-    // Validate inputs
-    if (!userId || !roomId || !roundNumber || !originalText || typeof typedText !== 'string' || !timeInSeconds) {
+    if (!roomId || !roundNumber || typeof typedText !== 'string') {
       return {
         success: false,
         error: 'Invalid input parameters'
       };
     }
     
-    if (timeInSeconds <= 0 || timeInSeconds > 3600) {
-      return {
-        success: false,
-        error: 'Invalid time value'
-      };
-    }
-    
-    // Get user's game name from participants if not provided
-    if (!userName) {
-      try {
-        const participantRef = doc(db, 'participants', userId);
-        const participantDoc = await getDoc(participantRef);
-        if (participantDoc.exists()) {
-          userName = participantDoc.data().name || 'Unknown';
-        }
-      } catch (e) {
-        console.warn('Could not fetch participant name:', e);
-        userName = 'Unknown';
-      }
-    }
-    
-    // Check if result already exists (prevent duplicate submissions)
-    const resultsRef = collection(db, 'results');
-    const existingQuery = query(
-      resultsRef,
-      where('userId', '==', userId),
-      where('roomId', '==', roomId),
-      where('round', '==', roundNumber)
-    );
-    const existingSnapshot = await getDocs(existingQuery);
-    
-    if (!existingSnapshot.empty) {
-      // Result already exists - return existing score
-      const existingDoc = existingSnapshot.docs[0];
-      const existingData = existingDoc.data();
-      return {
-        success: true,
-        score: {
-          accuracy: existingData.accuracy,
-          wpm: existingData.wpm,
-          accuracyPoints: existingData.accuracyPoints || 0,
-          speedPoints: existingData.speedPoints || 0,
-          finalScore: existingData.finalScore
-        },
-        alreadySubmitted: true
-      };
-    }
-    
-    // Calculate score
-    const score = calculateScore(originalText, typedText, timeInSeconds);
-    
-    // Validate score values
-    if (isNaN(score.accuracy) || isNaN(score.wpm) || isNaN(score.finalScore)) {
-      return {
-        success: false,
-        error: 'Invalid score calculation'
-      };
-    }
-    
-    // Store result in Firestore - INCLUDING the userName for easy leaderboard display
-    await addDoc(resultsRef, {
-      userId: userId,
+    const submitResult = httpsCallable(functions, 'submitResult');
+    const response = await submitResult({
       roomId: roomId,
       round: roundNumber,
-      userName: userName,  // Store the game name directly in results
-      wpm: score.wpm,
-      netWpm: score.netWpm,
-      rawWpm: score.rawWpm,
-      accuracy: score.accuracy,
-      accuracyPoints: score.accuracyPoints,
-      speedPoints: score.speedPoints,
-      finalScore: score.finalScore,
-      correctChars: score.correctChars,
-      incorrectChars: score.incorrectChars,
-      totalCharsTyped: score.totalCharsTyped,
-      totalCharsExpected: score.totalCharsExpected,
+      typedText: typedText,
       timeInSeconds: timeInSeconds,
-      submittedAt: serverTimestamp()
+      keystrokes: Array.isArray(typingData?.keystrokes) ? typingData.keystrokes : [],
+      incidents: Array.isArray(typingData?.incidents) ? typingData.incidents : [],
+      disqualifyReason: typingData?.disqualifyReason || null,
+      inputMode: typingData?.inputMode === 'touch' ? 'touch' : 'keyboard',
+      correctionsBlocked: typingData?.corrections?.blocked || 0,
+      finishedEarly: !!typingData?.finishedEarly,
+      recovery: typingData?.recovery || null,
+      startDelayMs: typeof typingData?.startDelayMs === 'number' ? typingData.startDelayMs : null
     });
-    
-    return {
-      success: true,
-      score: score
-    };
+    return response.data;
   } catch (error) {
     console.error('Submit result error:', error);
     return {
@@ -279,68 +275,19 @@ export async function getLeaderboard(roomId, roundNumber) {
     });
     
     // Get results for the round
-    const resultsRef = collection(db, 'results');
-    let currentRoundResults = [];
-    
-    try {
-      // Try query with index (preferred method)
-      const q = query(
-        resultsRef,
-        where('roomId', '==', roomId),
-        where('round', '==', roundNumber),
-        orderBy('finalScore', 'desc')
-      );
-      const resultsSnapshot = await getDocs(q);
-      
-      resultsSnapshot.forEach(docSnap => {
-        const result = docSnap.data();
-        currentRoundResults.push({
-          id: docSnap.id,
-          ...result
-        });
-      });
-    } catch (indexError) {
-      // If index error, try without orderBy and sort in memory
-      if (indexError.code === 'failed-precondition') {
-        console.warn('Index not ready for leaderboard, using fallback query...');
-        const q = query(
-          resultsRef,
-          where('roomId', '==', roomId),
-          where('round', '==', roundNumber)
-        );
-        const resultsSnapshot = await getDocs(q);
-        
-        resultsSnapshot.forEach(docSnap => {
-          const result = docSnap.data();
-          currentRoundResults.push({
-            id: docSnap.id,
-            ...result
-          });
-        });
-        
-        // CRITICAL: Sort by MonkeyType methodology - Net WPM first, then accuracy, then submission time
-        currentRoundResults.sort((a, b) => {
-          // 1. Higher Net WPM wins (primary ranking metric)
-          const wpmA = a.netWpm || a.wpm || 0;
-          const wpmB = b.netWpm || b.wpm || 0;
-          if (Math.abs(wpmA - wpmB) > 0.01) {
-            return wpmB - wpmA;
-          }
-          
-          // 2. If WPM is same, higher accuracy wins
-          if (Math.abs((a.accuracy || 0) - (b.accuracy || 0)) > 0.01) {
-            return (b.accuracy || 0) - (a.accuracy || 0);
-          }
-          
-          // 3. If both are same, earlier submission wins
-          const timeA = a.submittedAt?.toMillis ? a.submittedAt.toMillis() : 0;
-          const timeB = b.submittedAt?.toMillis ? b.submittedAt.toMillis() : 0;
-          return timeA - timeB; // Earlier time = lower number = wins
-        });
-      } else {
-        throw indexError; // Re-throw if it's a different error
-      }
-    }
+    const resultsSnapshot = await getDocs(query(
+      collection(db, 'results'),
+      where('roomId', '==', roomId),
+      where('round', '==', roundNumber)
+    ));
+    const roundResults = [];
+    resultsSnapshot.forEach(docSnap => {
+      roundResults.push({ id: docSnap.id, ...docSnap.data() });
+    });
+    
+    // Rank with the room's shared ranking policy, same as qualification
+    const configSnap = await getDoc(doc(db, 'roomConfig', roomId));
+    const currentRoundResults = rankResults(roundResults, configSnap.exists() ? configSnap.data().tieBreakers : null);
     
     const leaderboard = [];
     
@@ -444,22 +391,19 @@ export function listenToLeaderboard(roomId, roundNumber, callback) {
 
 /**
  * AUTO END ROUND - Called automatically when timer expires
+ * Moves the room to the round's result screen without calculating qualifications.
  * @param {string} roomId - Room ID
- * @param {number} roundNumber - Round number (always 1)
+ * @param {number} roundNumber - Round number
  * @returns {Promise<Object>} - Result
  */
 export async function autoEndRound(roomId, roundNumber) {
   try {
     console.log(`[AutoEnd] Attempting to auto-end round ${roundNumber} for room ${roomId}`);
     
-    // Update room status to completed
-    const roomRef = doc(db, 'rooms', roomId);
-    await updateDoc(roomRef, {
-      status: 'completed',
-      roundStatus: 'completed',
-      currentRound: 1,
-      roundEndedAt: serverTimestamp()
-    });
+    const transition = await transitionToResult(roomId, roundNumber, { roundStatus: 'completed' });
+    if (!transition.success) {
+      throw new Error(transition.error);
+    }
     
     console.log(`[AutoEnd] Round ${roundNumber} auto-ended successfully`);
     
@@ -518,6 +462,9 @@ export async function deleteRoom(roomId) {
       console.log(`[DeleteRoom] Deleted ${participantCount} participants`);
     }
     
+    // Delete live progress documents
+    await clearRoomProgress(roomId);
+    
     // Delete room config
     const configRef = doc(db, 'roomConfig', roomId);
     const configDoc = await getDoc(configRef);
@@ -566,6 +513,9 @@ export async function clearRoundResults(roomId, roundNumber) {
     );
     const resultsSnapshot = await getDocs(resultsQuery);
     
+    // Live progress for the round is stale once its results are gone
+    await clearRoomProgress(roomId, roundNumber);
+    
     if (resultsSnapshot.empty) {
       return {
         success: true,
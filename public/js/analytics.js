@@ -15,6 +15,8 @@ import {
   orderBy,
   limit
 } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js";
+import { rankResults } from './ranking.js';
+import { getTotalRounds } from './roomState.js';
 
 /**
  * Get all competition statistics for a room
@@ -52,9 +54,7 @@ export async function getRoomStatistics(roomId) {
     const resultsSnapshot = await getDocs(resultsQuery);
     
     const results = [];
-    const roundStats = {
-      r1: { total: 0, avgWPM: 0, avgAccuracy: 0, avgScore: 0 }
-    };
+    const roundStats = {};
     
     resultsSnapshot.forEach(doc => {
       const result = doc.data();
@@ -63,13 +63,14 @@ export async function getRoomStatistics(roomId) {
         ...result
       });
       
-      const roundKey = `r${result.round}`;
-      if (roundStats[roundKey]) {
-        roundStats[roundKey].total++;
-        roundStats[roundKey].avgWPM += result.wpm;
-        roundStats[roundKey].avgAccuracy += result.accuracy;
-        roundStats[roundKey].avgScore += result.finalScore;
+      const roundKey = `r${result.round || 1}`;
+      if (!roundStats[roundKey]) {
+        roundStats[roundKey] = { total: 0, avgWPM: 0, avgAccuracy: 0, avgScore: 0 };
       }
+      roundStats[roundKey].total++;
+      roundStats[roundKey].avgWPM += result.wpm;
+      roundStats[roundKey].avgAccuracy += result.accuracy;
+      roundStats[roundKey].avgScore += result.finalScore;
     });
     
     // Calculate averages
@@ -245,9 +246,7 @@ export async function getOverallStatistics() {
  */
 export async function getCompleteLeaderboard(roomId) {
   try {
-    const leaderboard = {
-      r1: []
-    };
+    const leaderboard = {};
     
     // Get participants for names
     const participantsRef = collection(db, 'participants');
@@ -259,26 +258,34 @@ export async function getCompleteLeaderboard(roomId) {
       participantsMap[doc.id] = doc.data().name;
     });
     
-    // Get results for each round
-    for (let round = 1; round <= 3; round++) {
+    // Rank each round with the room's shared ranking policy
+    const configDoc = await getDoc(doc(db, 'roomConfig', roomId));
+    const roomConfig = configDoc.exists() ? configDoc.data() : null;
+    const tieBreakers = roomConfig ? roomConfig.tieBreakers : null;
+    for (let n = 1; n <= getTotalRounds(roomConfig); n++) {
+      leaderboard[`r${n}`] = [];
+    }
+    
+    for (const key of Object.keys(leaderboard)) {
       const resultsRef = collection(db, 'results');
       const resultsQuery = query(
         resultsRef,
         where('roomId', '==', roomId),
-        where('round', '==', round),
-        orderBy('finalScore', 'desc')
+        where('round', '==', parseInt(key.slice(1)))
       );
       
       const resultsSnapshot = await getDocs(resultsQuery);
+      const results = [];
       
-      resultsSnapshot.forEach(doc => {
-        const result = doc.data();
-        leaderboard[`r${round}`].push({
-          id: doc.id,
+      resultsSnapshot.forEach(docSnap => {
+        const result = docSnap.data();
+        results.push({
+          id: docSnap.id,
           ...result,
           name: participantsMap[result.userId] || 'Unknown'
         });
       });
+      leaderboard[key] = rankResults(results, tieBreakers);
     }
     
     return leaderboard;
@@ -0,0 +1,86 @@
+/**
+ * Blindness Levels Module
+ *
+ * Defines how much of a participant's own input is revealed while typing:
+ * - blind: nothing but the character count (default)
+ * - caret: a marker on the paragraph shows the current position
+ * - current-word: the word being typed is shown as it is typed
+ * - flash: the last word is shown briefly after space or enter
+ */
+
+import { splitGraphemes } from './graphemes.js';
+
+export const BLINDNESS_LEVELS = {
+  BLIND: 'blind',
+  CARET: 'caret',
+  CURRENT_WORD: 'current-word',
+  FLASH: 'flash'
+};
+
+export const DEFAULT_BLINDNESS = BLINDNESS_LEVELS.BLIND;
+
+// How long a flashed word stays visible
+export const FLASH_DURATION_MS = 800;
+
+// Labels for the room setup form and participant instructions
+export const BLINDNESS_OPTIONS = [
+  { value: BLINDNESS_LEVELS.BLIND, label: 'Fully blind', hint: 'Your input is hidden for blind typing.' },
+  { value: BLINDNESS_LEVELS.CARET, label: 'Caret only', hint: 'Your input is hidden; a marker shows your position in the paragraph.' },
+  { value: BLINDNESS_LEVELS.CURRENT_WORD, label: 'Current word', hint: 'Only the word you are typing is shown.' },
+  { value: BLINDNESS_LEVELS.FLASH, label: 'Delayed flash', hint: 'Each word flashes briefly after you press space.' }
+];
+
+/**
+ * Fall back to fully blind for unknown or missing levels
+ * @param {string} level - Configured blindness level
+ * @returns {string} - A valid blindness level
+ */
+export function normalizeBlindness(level) {
+  return Object.values(BLINDNESS_LEVELS).includes(level) ? level : DEFAULT_BLINDNESS;
+}
+
+/**
+ * Get the participant-facing hint for a blindness level
+ * @param {string} level - Blindness level
+ * @returns {string} - Instruction text
+ */
+export function getBlindnessHint(level) {
+  const normalized = normalizeBlindness(level);
+  return BLINDNESS_OPTIONS.find(option => option.value === normalized).hint;
+}
+
+/**
+ * Get the word currently being typed (everything after the last whitespace)
+ * @param {string} typedText - Typed buffer
+ * @returns {string} - Current partial word
+ */
+export function getCurrentWord(typedText) {
+  const match = (typedText || '').match(/\S*$/);
+  return match ? match[0] : '';
+}
+
+/**
+ * Get the last completed word, if the buffer ends with whitespace
+ * @param {string} typedText - Typed buffer
+ * @returns {string} - Last completed word, or '' while a word is in progress
+ */
+export function getLastCompletedWord(typedText) {
+  const match = (typedText || '').match(/(\S+)\s+$/);
+  return match ? match[1] : '';
+}
+
+/**
+ * Split a paragraph around a caret position
+ * @param {string} paragraph - Paragraph text
+ * @param {number} position - Caret position in graphemes
+ * @returns {Object} - { before, current, after }
+ */
+export function splitAtCaret(paragraph, position) {
+  const graphemes = splitGraphemes(paragraph);
+  const index = Math.max(0, Math.min(position, graphemes.length));
+  return {
+    before: graphemes.slice(0, index).join(''),
+    current: graphemes[index] || '',
+    after: graphemes.slice(index + 1).join('')
+  };
+}
@@ -0,0 +1,109 @@
+/**
+ * Bot Detection Module
+ *
+ * Scores how likely a typing session was produced by automation
+ * using signals from the keystroke log:
+ * - Untrusted (script-dispatched) keyboard events
+ * - Implausibly uniform inter-key intervals
+ * - Sustained speeds beyond human limits
+ * - Bursts of keys faster than a human can press them
+ */
+
+// Thresholds for the suspicion heuristics
+export const BOT_DETECTION = {
+  FLAG_THRESHOLD: 50,          // Score at or above which a result is flagged
+  MIN_INTERVALS: 20,           // Intervals needed before timing signals are trusted
+  PAUSE_CUTOFF_MS: 2000,       // Longer gaps are thinking pauses, not typing rhythm
+  UNIFORM_CV_STRONG: 0.1,      // Coefficient of variation below this is machine-like
+  UNIFORM_CV_WEAK: 0.2,
+  SUSTAINED_WINDOW_MS: 10000,  // Window used for sustained speed
+  SUSTAINED_MAX_CPS: 15,       // ~180 WPM held for a full window
+  BURST_INTERVAL_MS: 10,       // Interval below which two keys count as a burst
+  BURST_MAX_RATIO: 0.2         // Share of burst intervals tolerated
+};
+
+/**
+ * Compute a suspicion report for a keystroke log
+ * @param {Array<Object>} keystrokes - Keystroke log from typing.js ({ k, n, t, kind, u })
+ * @returns {Object} - { score, flagged, reasons, signals }
+ */
+export function computeSuspicion(keystrokes) {
+  const log = Array.isArray(keystrokes) ? keystrokes : [];
+  const reasons = [];
+  let score = 0;
+
+  // 1. Untrusted events can only come from scripts
+  const untrustedKeys = log.filter(entry => entry.u).length;
+  if (untrustedKeys > 0) {
+    const ratio = untrustedKeys / log.length;
+    score += Math.max(40, Math.round(ratio * 60));
+    reasons.push(`${untrustedKeys} untrusted key events`);
+  }
+
+  // Inter-key intervals, ignoring long pauses
+  const intervals = [];
+  for (let i = 1; i < log.length; i++) {
+    const gap = log[i].t - log[i - 1].t;
+    if (gap >= 0 && gap <= BOT_DETECTION.PAUSE_CUTOFF_MS) {
+      intervals.push(gap);
+    }
+  }
+
+  let intervalCv = null;
+  let burstRatio = 0;
+
+  if (intervals.length >= BOT_DETECTION.MIN_INTERVALS) {
+    // 2. Uniform rhythm
+    const mean = intervals.reduce((sum, gap) => sum + gap, 0) / intervals.length;
+    const variance = intervals.reduce((sum, gap) => sum + Math.pow(gap - mean, 2), 0) / intervals.length;
+    intervalCv = mean > 0 ? Math.sqrt(variance) / mean : 0;
+
+    if (intervalCv < BOT_DETECTION.UNIFORM_CV_STRONG) {
+      score += 35;
+      reasons.push('Inter-key timing is almost perfectly uniform');
+    } else if (intervalCv < BOT_DETECTION.UNIFORM_CV_WEAK) {
+      score += 20;
+      reasons.push('Inter-key timing is unusually uniform');
+    }
+
+    // 3. Bursts faster than human key presses
+    const bursts = intervals.filter(gap => gap < BOT_DETECTION.BURST_INTERVAL_MS).length;
+    burstRatio = bursts / intervals.length;
+    if (burstRatio > BOT_DETECTION.BURST_MAX_RATIO) {
+      score += 25;
+      reasons.push(`${Math.round(burstRatio * 100)}% of keys arrived within ${BOT_DETECTION.BURST_INTERVAL_MS}ms`);
+    }
+  }
+
+  // 4. Sustained speed over a sliding window
+  let peakSustainedCps = 0;
+  const lastTime = log.length > 0 ? log[log.length - 1].t : 0;
+  if (lastTime >= BOT_DETECTION.SUSTAINED_WINDOW_MS) {
+    let windowStart = 0;
+    for (let i = 0; i < log.length; i++) {
+      while (log[i].t - log[windowStart].t > BOT_DETECTION.SUSTAINED_WINDOW_MS) {
+        windowStart++;
+      }
+      const cps = (i - windowStart + 1) / (BOT_DETECTION.SUSTAINED_WINDOW_MS / 1000);
+      peakSustainedCps = Math.max(peakSustainedCps, cps);
+    }
+    if (peakSustainedCps > BOT_DETECTION.SUSTAINED_MAX_CPS) {
+      score += 30;
+      reasons.push(`Sustained ${Math.round(peakSustainedCps * 12)} WPM over ${BOT_DETECTION.SUSTAINED_WINDOW_MS / 1000}s`);
+    }
+  }
+
+  score = Math.min(100, score);
+
+  return {
+    score: score,
+    flagged: score >= BOT_DETECTION.FLAG_THRESHOLD,
+    reasons: reasons,
+    signals: {
+      untrustedKeys: untrustedKeys,
+      intervalCv: intervalCv === null ? null : Math.round(intervalCv * 1000) / 1000,
+      burstRatio: Math.round(burstRatio * 1000) / 1000,
+      peakSustainedCps: Math.round(peakSustainedCps * 100) / 100
+    }
+  };
+}
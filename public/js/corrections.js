@@ -0,0 +1,82 @@
+/**
+ * Correction Policies Module
+ *
+ * Defines when Backspace is allowed during a round:
+ * - unlimited: always (default)
+ * - none: never
+ * - limited: a fixed number of corrections per round
+ * - word-lock: only inside the current word; completed words are locked
+ */
+
+export const CORRECTION_POLICIES = {
+  UNLIMITED: 'unlimited',
+  NONE: 'none',
+  LIMITED: 'limited',
+  WORD_LOCK: 'word-lock'
+};
+
+export const DEFAULT_CORRECTION_POLICY = CORRECTION_POLICIES.UNLIMITED;
+
+// Labels for the room setup form
+export const CORRECTION_OPTIONS = [
+  { value: CORRECTION_POLICIES.UNLIMITED, label: 'Unlimited backspace' },
+  { value: CORRECTION_POLICIES.NONE, label: 'No backspace' },
+  { value: CORRECTION_POLICIES.LIMITED, label: 'Limited corrections' },
+  { value: CORRECTION_POLICIES.WORD_LOCK, label: 'Word lock' }
+];
+
+/**
+ * Fall back to unlimited for unknown policies and clamp the correction limit
+ * @param {string} policy - Configured correction policy
+ * @param {number} limit - Corrections allowed for the limited policy
+ * @returns {Object} - { policy, limit } with limit 0 for policies that ignore it
+ */
+export function normalizeCorrectionPolicy(policy, limit) {
+  const normalized = Object.values(CORRECTION_POLICIES).includes(policy) ? policy : DEFAULT_CORRECTION_POLICY;
+  const parsedLimit = Math.max(0, parseInt(limit) || 0);
+  return {
+    policy: normalized,
+    limit: normalized === CORRECTION_POLICIES.LIMITED ? parsedLimit : 0
+  };
+}
+
+/**
+ * Get the participant-facing description of a correction policy
+ * @param {string} policy - Correction policy
+ * @param {number} limit - Corrections allowed for the limited policy
+ * @returns {string} - Instruction text
+ */
+export function getCorrectionHint(policy, limit) {
+  const normalized = normalizeCorrectionPolicy(policy, limit);
+  switch (normalized.policy) {
+    case CORRECTION_POLICIES.NONE:
+      return 'Backspace is disabled for this round.';
+    case CORRECTION_POLICIES.LIMITED:
+      return `You may use Backspace ${normalized.limit} time${normalized.limit === 1 ? '' : 's'} this round.`;
+    case CORRECTION_POLICIES.WORD_LOCK:
+      return 'Backspace only works inside the current word; completed words are locked.';
+    default:
+      return 'Backspace is allowed.';
+  }
+}
+
+/**
+ * Check whether a backspace is allowed under a policy
+ * @param {Object} correction - Normalized policy ({ policy, limit })
+ * @param {string} typedText - Buffer before the backspace
+ * @param {number} used - Corrections already used this round
+ * @returns {boolean} - True if the backspace may delete
+ */
+export function canCorrect(correction, typedText, used) {
+  switch (correction.policy) {
+    case CORRECTION_POLICIES.NONE:
+      return false;
+    case CORRECTION_POLICIES.LIMITED:
+      return used < correction.limit;
+    case CORRECTION_POLICIES.WORD_LOCK:
+      // Whitespace ends a word; deleting it would reopen the completed word
+      return !/\s/.test(typedText.slice(-1));
+    default:
+      return true;
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * Error Report View Module
+ *
+ * Renders the error report produced by buildErrorReport() in scoring.js:
+ * - The paragraph with each word highlighted as correct, mistyped or not typed
+ * - The most-missed words
+ * - A keyboard heatmap of the keys involved in errors
+ *
+ * Pages provide the CSS for the .error-report classes.
+ */
+
+// US QWERTY layout used for the heatmap
+const KEYBOARD_ROWS = [
+  ['`', '1', '2', '3', '4', '5', '6', '7', '8', '9', '0', '-', '='],
+  ['q', 'w', 'e', 'r', 't', 'y', 'u', 'i', 'o', 'p', '[', ']', '\\'],
+  ['a', 's', 'd', 'f', 'g', 'h', 'j', 'k', 'l', ';', "'"],
+  ['z', 'x', 'c', 'v', 'b', 'n', 'm', ',', '.', '/']
+];
+
+// Shifted characters map to the key that produces them
+const SHIFTED_KEYS = {
+  '~': '`', '!': '1', '@': '2', '#': '3', '$': '4', '%': '5', '^': '6', '&': '7', '*': '8',
+  '(': '9', ')': '0', '_': '-', '+': '=', '{': '[', '}': ']', '|': '\\', ':': ';', '"': "'",
+  '<': ',', '>': '.', '?': '/'
+};
+
+/**
+ * Create an element with a class and optional text
+ * @param {string} tag - Tag name
+ * @param {string} className - Class name
+ * @param {string} text - Text content
+ * @returns {HTMLElement} - The element
+ */
+function createElement(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+/**
+ * Render the paragraph with each word highlighted by status
+ * @param {Array<Object>} words - Word diff entries { w, t, s }
+ * @returns {HTMLElement} - Paragraph element
+ */
+function renderWordDiff(words) {
+  const paragraph = createElement('p', 'error-report-paragraph');
+  words.forEach((word, index) => {
+    if (index > 0) paragraph.appendChild(document.createTextNode(' '));
+    const span = createElement('span', `report-word report-word-${word.s}`, word.w);
+    if (word.s === 'error') {
+      span.title = `You typed: ${word.t || '(nothing)'}`;
+    }
+    paragraph.appendChild(span);
+  });
+  return paragraph;
+}
+
+/**
+ * Render the most-missed words list
+ * @param {Array<Object>} missedWords - { word, count } entries
+ * @returns {HTMLElement} - List element
+ */
+function renderMissedWords(missedWords) {
+  if (missedWords.length === 0) {
+    return createElement('p', 'error-report-empty', 'No mistyped words. 🎯');
+  }
+  const list = createElement('ol', 'error-report-missed');
+  missedWords.forEach(entry => {
+    const item = createElement('li', null, entry.word);
+    if (entry.count > 1) {
+      item.appendChild(createElement('span', 'missed-count', ` ×${entry.count}`));
+    }
+    list.appendChild(item);
+  });
+  return list;
+}
+
+/**
+ * Render the keyboard heatmap
+ * Keys outside the layout (accented letters, other scripts) are listed below it.
+ * @param {Array<Object>} keyErrors - { key, count } entries
+ * @returns {HTMLElement} - Heatmap element
+ */
+function renderKeyboardHeatmap(keyErrors) {
+  const counts = {};
+  const otherKeys = [];
+  const layoutKeys = new Set(KEYBOARD_ROWS.flat().concat([' ']));
+  keyErrors.forEach(entry => {
+    const key = SHIFTED_KEYS[entry.key] || entry.key;
+    if (layoutKeys.has(key)) {
+      counts[key] = (counts[key] || 0) + entry.count;
+    } else {
+      otherKeys.push(entry);
+    }
+  });
+  const max = Math.max(1, ...Object.values(counts));
+
+  const paintKey = (el, key) => {
+    const count = counts[key] || 0;
+    if (count > 0) {
+      el.style.background = `rgba(239, 68, 68, ${(0.2 + 0.7 * (count / max)).toFixed(2)})`;
+      el.classList.add('has-errors');
+    }
+    el.title = `${key === ' ' ? 'Space' : key}: ${count} error${count === 1 ? '' : 's'}`;
+  };
+
+  const keyboard = createElement('div', 'error-report-keyboard');
+  KEYBOARD_ROWS.forEach((row, rowIndex) => {
+    const rowEl = createElement('div', 'keyboard-row');
+    rowEl.style.paddingLeft = `${rowIndex * 12}px`;
+    row.forEach(key => {
+      const keyEl = createElement('span', 'keyboard-key', key);
+      paintKey(keyEl, key);
+      rowEl.appendChild(keyEl);
+    });
+    keyboard.appendChild(rowEl);
+  });
+  const spaceRow = createElement('div', 'keyboard-row');
+  const spaceKey = createElement('span', 'keyboard-key keyboard-space', 'space');
+  paintKey(spaceKey, ' ');
+  spaceRow.appendChild(spaceKey);
+  keyboard.appendChild(spaceRow);
+
+  if (otherKeys.length > 0) {
+    keyboard.appendChild(createElement('p', 'error-report-other-keys',
+      `Other keys: ${otherKeys.map(entry => `${entry.key} ×${entry.count}`).join(', ')}`));
+  }
+  return keyboard;
+}
+
+/**
+ * Render an error report into a container, hiding the container when there is no report
+ * @param {HTMLElement} container - Element to render into
+ * @param {Object} report - Report from buildErrorReport() ({ words, missedWords, keyErrors })
+ */
+export function renderErrorReport(container, report) {
+  if (!container) return;
+  container.innerHTML = '';
+  if (!report || !Array.isArray(report.words) || report.words.length === 0) {
+    container.style.display = 'none';
+    return;
+  }
+
+  container.appendChild(createElement('h3', 'error-report-title', 'Your Paragraph'));
+  const legend = createElement('div', 'error-report-legend');
+  [['correct', 'Correct'], ['error', 'Mistyped'], ['missing', 'Not typed']].forEach(([status, label]) => {
+    legend.appendChild(createElement('span', `report-word report-word-${status}`, label));
+  });
+  container.appendChild(legend);
+  container.appendChild(renderWordDiff(report.words));
+
+  container.appendChild(createElement('h3', 'error-report-title', 'Most Missed Words'));
+  container.appendChild(renderMissedWords(report.missedWords || []));
+
+  container.appendChild(createElement('h3', 'error-report-title', 'Error Keys'));
+  container.appendChild(renderKeyboardHeatmap(report.keyErrors || []));
+
+  container.style.display = 'block';
+}
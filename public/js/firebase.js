@@ -1,14 +1,18 @@
 /**
  * Firebase Configuration and Initialization
  * 
- * This file initializes Firebase services (Auth and Firestore)
+ * This file initializes Firebase services (Auth, Firestore and Functions)
  * Uses Firebase v10 modular SDK
+ *
+ * On localhost, set localStorage.useEmulators = 'true' to run against the
+ * local emulators started with `npm run serve` in functions/.
  */
 
 // Import the functions you need from the SDKs you need
 import { initializeApp } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-app.js";
-import { getAuth, GoogleAuthProvider, EmailAuthProvider } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js";
-import { getFirestore } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js";
+import { getAuth, GoogleAuthProvider, EmailAuthProvider, connectAuthEmulator } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js";
+import { getFirestore, connectFirestoreEmulator } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js";
+import { getFunctions, connectFunctionsEmulator } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-functions.js";
 import { getAnalytics } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-analytics.js";
 
 // Your web app's Firebase configuration
@@ -26,7 +30,18 @@ const firebaseConfig = {
 const app = initializeApp(firebaseConfig);
 const auth = getAuth(app);
 const db = getFirestore(app);
+const functions = getFunctions(app);
 const analytics = getAnalytics(app);
 const googleProvider = new GoogleAuthProvider();
 
-export { auth, db, googleProvider, EmailAuthProvider, analytics };
+// Local emulators (ports from firebase.json)
+const useEmulators = ['localhost', '127.0.0.1'].includes(window.location.hostname) &&
+    localStorage.getItem('useEmulators') === 'true';
+if (useEmulators) {
+    connectAuthEmulator(auth, 'http://127.0.0.1:9099', { disableWarnings: true });
+    connectFirestoreEmulator(db, '127.0.0.1', 8080);
+    connectFunctionsEmulator(functions, '127.0.0.1', 5001);
+    console.log('[Firebase] Using local emulators');
+}
+
+export { auth, db, functions, googleProvider, EmailAuthProvider, analytics };
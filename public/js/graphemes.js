@@ -0,0 +1,57 @@
+/**
+ * Grapheme Utilities
+ *
+ * Text helpers that work on user-perceived characters (grapheme clusters)
+ * instead of UTF-16 code units, so accented letters, Devanagari conjuncts
+ * and emoji count as one character each.
+ */
+
+// Intl.Segmenter is missing in older browsers; fall back to code points there
+const segmenter = typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function'
+  ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+  : null;
+
+/**
+ * Split text into grapheme clusters
+ * @param {string} text - Text to split
+ * @returns {Array<string>} - Grapheme clusters
+ */
+export function splitGraphemes(text) {
+  if (!text) return [];
+  if (segmenter) {
+    return Array.from(segmenter.segment(text), part => part.segment);
+  }
+  return Array.from(text);
+}
+
+/**
+ * Count grapheme clusters in text
+ * @param {string} text - Text to measure
+ * @returns {number} - Number of user-perceived characters
+ */
+export function countGraphemes(text) {
+  return splitGraphemes(text).length;
+}
+
+/**
+ * Remove the last grapheme cluster (what Backspace should delete)
+ * @param {string} text - Text to trim
+ * @returns {string} - Text without its last grapheme
+ */
+export function removeLastGrapheme(text) {
+  if (!text) return '';
+  // Only the tail needs segmenting; no realistic cluster is longer than this
+  const tailStart = Math.max(0, text.length - 64);
+  const tail = splitGraphemes(text.slice(tailStart));
+  const lastLength = tail.length > 0 ? tail[tail.length - 1].length : 1;
+  return text.slice(0, text.length - lastLength);
+}
+
+/**
+ * Normalize text to NFC so composed and decomposed forms compare equal
+ * @param {string} text - Text to normalize
+ * @returns {string} - NFC-normalized text
+ */
+export function normalizeText(text) {
+  return typeof text === 'string' && text.normalize ? text.normalize('NFC') : (text || '');
+}
@@ -0,0 +1,17 @@
+/**
+ * HTML Helpers
+ *
+ * For pages that build markup with template strings and innerHTML.
+ */
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape text for use in HTML content or a quoted attribute
+ * Anything a participant or admin typed (names, passages, reasons) must go through this.
+ * @param {*} text - Text to escape (null and undefined become '')
+ * @returns {string} - Escaped text
+ */
+export function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
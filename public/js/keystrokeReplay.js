@@ -0,0 +1,66 @@
+/**
+ * Keystroke Replay Module
+ *
+ * Rebuilds the typed buffer from a keystroke log so stored or submitted text
+ * can be checked against the keys that produced it. Used by crash recovery
+ * in the browser and by the scoring function on the server.
+ */
+
+import { splitGraphemes, removeLastGrapheme } from './graphemes.js';
+import { canCorrect } from './corrections.js';
+
+/**
+ * Replay a keystroke log
+ * Every entry must have a non-decreasing t and an n matching the buffer length after it.
+ * With a correction policy, every logged backspace must also have been allowed by it.
+ * The length is kept as a running count (only the last grapheme is re-segmented per
+ * entry), so long logs replay in linear time.
+ * @param {Array<Object>} keystrokes - Keystroke log from typing.js ({ k, n, t, kind })
+ * @param {Object} correction - Optional { policy, limit } from normalizeCorrectionPolicy()
+ * @returns {Object} - { text, corrections, lastT, error } (error is null when the log is consistent)
+ */
+export function replayKeystrokes(keystrokes, correction = null) {
+  let text = '';
+  let length = 0;
+  let lastGrapheme = ''; // A typed character can join it (combining marks, emoji sequences)
+  let corrections = 0;
+  let lastT = 0;
+  const fail = (error) => ({ text, corrections, lastT, error });
+
+  if (!Array.isArray(keystrokes)) return fail('Keystroke log is missing');
+
+  for (const entry of keystrokes) {
+    if (!entry || typeof entry.t !== 'number' || !isFinite(entry.t) || entry.t < lastT) {
+      return fail('Keystroke timings are out of order');
+    }
+    lastT = entry.t;
+
+    if (entry.kind === 'char' || entry.kind === 'enter') {
+      const typed = entry.kind === 'enter' ? '\n' : entry.k;
+      if (typeof typed !== 'string' || !typed) return fail('Invalid keystroke entry');
+      const joined = splitGraphemes(lastGrapheme + typed);
+      length += joined.length - (lastGrapheme ? 1 : 0);
+      lastGrapheme = joined[joined.length - 1];
+      text += typed;
+    } else if (entry.kind === 'backspace') {
+      if (text && correction && !canCorrect(correction, text, corrections)) {
+        return fail('Correction not allowed by the round policy');
+      }
+      if (text) {
+        corrections++;
+        length--;
+        text = removeLastGrapheme(text);
+        const tail = splitGraphemes(text.slice(-64)); // The same tail removeLastGrapheme() looks at
+        lastGrapheme = tail.length > 0 ? tail[tail.length - 1] : '';
+      }
+    } else {
+      return fail('Invalid keystroke entry');
+    }
+
+    if (entry.n !== length) {
+      return fail('Keystroke log does not match the buffer');
+    }
+  }
+
+  return { text, corrections, lastT, error: null };
+}
@@ -0,0 +1,103 @@
+/**
+ * Passage Assignment Module
+ *
+ * Rooms can give each participant a different passage so neighbours in a lab
+ * cannot copy from each other's screens:
+ * - shared: everyone types the round's paragraph (the default)
+ * - randomized: each round has a pool of passages of matched difficulty, copied
+ *   from the library when the room is created; startRound deals the pool out and
+ *   stores each participant's pool index in roomConfig.passageAssignments, which
+ *   participants cannot write (their own participant document they can)
+ *
+ * The typing page and the submitResult function both read the passage through
+ * getAssignedPassage(), so scoring compares against the text that was shown.
+ */
+
+export const PASSAGE_MODES = {
+  SHARED: 'shared',
+  RANDOMIZED: 'randomized'
+};
+
+export const DEFAULT_PASSAGE_MODE = PASSAGE_MODES.SHARED;
+
+// Labels for the room setup form
+export const PASSAGE_MODE_OPTIONS = [
+  { value: PASSAGE_MODES.SHARED, label: 'Same passage for everyone', hint: 'Every participant types the paragraph set for the round.' },
+  { value: PASSAGE_MODES.RANDOMIZED, label: 'Different passage per participant', hint: 'Each participant gets a passage from a pool of equal difficulty taken from the library, so neighbours type different text.' }
+];
+
+// Passages per round pool; the pool is copied into roomConfig, so it stays small
+export const PASSAGE_POOL_SIZE = {
+  MIN: 2,
+  MAX: 12
+};
+
+/**
+ * Normalize a passage mode
+ * @param {string} mode - Passage mode
+ * @returns {string} - A PASSAGE_MODES value, DEFAULT_PASSAGE_MODE if unknown
+ */
+export function normalizePassageMode(mode) {
+  return Object.values(PASSAGE_MODES).includes(mode) ? mode : DEFAULT_PASSAGE_MODE;
+}
+
+/**
+ * Keep only well-formed pool entries
+ * @param {Array<Object>} pool - Entries { passageId, title, text, difficultyScore }
+ * @returns {Array<Object>} - At most PASSAGE_POOL_SIZE.MAX entries
+ */
+export function normalizePassagePool(pool) {
+  if (!Array.isArray(pool)) return [];
+  return pool
+    .filter(entry => entry && typeof entry.text === 'string' && entry.text.trim())
+    .slice(0, PASSAGE_POOL_SIZE.MAX)
+    .map(entry => ({
+      passageId: typeof entry.passageId === 'string' ? entry.passageId : null,
+      title: typeof entry.title === 'string' ? entry.title : '',
+      text: entry.text.trim(),
+      difficultyScore: Number(entry.difficultyScore) || 0
+    }));
+}
+
+/**
+ * Deal a pool of passages out to participants
+ * The pool is shuffled and dealt in turn, so a passage repeats only once every
+ * passage is in use, and no passage is given out more than once more than another.
+ * @param {Array<string>} participantIds - Participants entering the round
+ * @param {Array<Object>} pool - The round's passagePool
+ * @param {Function} random - Random number source in [0, 1) (Math.random by default)
+ * @returns {Object} - { [participantId]: index into normalizePassagePool(pool) }
+ */
+export function assignPassages(participantIds, pool, random = Math.random) {
+  const shuffled = normalizePassagePool(pool).map((entry, index) => index);
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  const assignments = {};
+  if (shuffled.length === 0) return assignments;
+  (participantIds || []).forEach((participantId, index) => {
+    assignments[participantId] = shuffled[index % shuffled.length];
+  });
+  return assignments;
+}
+
+/**
+ * Get the passage a participant types in a round
+ * @param {Object} roomConfig - Room configuration
+ * @param {number} roundNumber - Round number
+ * @param {string} participantId - Participant ID (their user ID)
+ * @returns {Object|null} - { paragraph, passageId, title }, or null if the round or the assignment is missing
+ */
+export function getAssignedPassage(roomConfig, roundNumber, participantId) {
+  const round = roomConfig?.rounds?.[`r${roundNumber}`];
+  if (!round) return null;
+  if (normalizePassageMode(roomConfig.passageMode) === PASSAGE_MODES.RANDOMIZED) {
+    const index = roomConfig.passageAssignments?.[`r${roundNumber}`]?.[participantId];
+    const entry = Number.isInteger(index) ? normalizePassagePool(round.passagePool)[index] : null;
+    if (!entry) return null;
+    return { paragraph: entry.text, passageId: entry.passageId, title: entry.title || null };
+  }
+  if (!round.paragraph) return null;
+  return { paragraph: round.paragraph, passageId: round.passageId || null, title: round.passageTitle || null };
+}
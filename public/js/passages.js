@@ -0,0 +1,381 @@
+/**
+ * Passage Library Module
+ *
+ * Shared collection of passages admins pick from when creating a room:
+ * - Each passage has a title, language and tags
+ * - Length, word count and difficulty are computed from the text on every save
+ * - Filtering and random picks run in the browser over the loaded library
+ *
+ * Rooms copy the passage text into roomConfig and keep passageId/passageTitle
+ * as a reference, so editing or deleting a passage never changes a room.
+ */
+
+import { db } from './firebase.js';
+import { countGraphemes, normalizeText } from './graphemes.js';
+import { PASSAGE_POOL_SIZE } from './passageAssignment.js';
+import {
+  collection,
+  addDoc,
+  doc,
+  getDoc,
+  getDocs,
+  updateDoc,
+  deleteDoc,
+  writeBatch,
+  serverTimestamp
+} from "https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js";
+
+export const PASSAGE_DIFFICULTIES = {
+  EASY: 'easy',
+  MEDIUM: 'medium',
+  HARD: 'hard'
+};
+
+// Labels for filters and badges; maxScore is the highest difficulty score in the band
+export const PASSAGE_DIFFICULTY_OPTIONS = [
+  { value: PASSAGE_DIFFICULTIES.EASY, label: 'Easy', maxScore: 35, hint: 'Short common words, little punctuation.' },
+  { value: PASSAGE_DIFFICULTIES.MEDIUM, label: 'Medium', maxScore: 60, hint: 'Longer words, regular punctuation and capitals.' },
+  { value: PASSAGE_DIFFICULTIES.HARD, label: 'Hard', maxScore: 100, hint: 'Long words, numbers, symbols or heavy punctuation.' }
+];
+
+export const DEFAULT_PASSAGE_LANGUAGE = 'en';
+
+// Languages offered in the library forms; other codes can still be imported
+export const PASSAGE_LANGUAGE_OPTIONS = [
+  { value: 'en', label: 'English' },
+  { value: 'es', label: 'Spanish' },
+  { value: 'fr', label: 'French' },
+  { value: 'de', label: 'German' },
+  { value: 'pt', label: 'Portuguese' },
+  { value: 'it', label: 'Italian' },
+  { value: 'hi', label: 'Hindi' }
+];
+
+export const PASSAGE_LIMITS = {
+  MIN_LENGTH: 20,       // Characters
+  MAX_LENGTH: 5000,     // Characters
+  MAX_TITLE_LENGTH: 100,
+  MAX_TAGS: 10,
+  MAX_TAG_LENGTH: 30,
+  MAX_IMPORT: 200       // Passages per import
+};
+
+// Weights of the difficulty score (0-100)
+const DIFFICULTY_WEIGHTS = {
+  WORD_LENGTH: 10,      // Per letter of average word length above 3
+  SYMBOLS: 200,         // Times the share of digits, punctuation and symbols
+  CAPITALS: 60,         // Times the share of capital letters
+  LENGTH: 0.02,         // Per character, capped at LENGTH_CAP
+  LENGTH_CAP: 15
+};
+
+/**
+ * Normalize a language code
+ * @param {string} language - Language code such as 'en'
+ * @returns {string} - Lowercase code, DEFAULT_PASSAGE_LANGUAGE if missing or invalid
+ */
+export function normalizeLanguage(language) {
+  const code = typeof language === 'string' ? language.trim().toLowerCase() : '';
+  return /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/.test(code) ? code : DEFAULT_PASSAGE_LANGUAGE;
+}
+
+/**
+ * Normalize tags
+ * @param {Array<string>|string} tags - Tag list or comma-separated tags
+ * @returns {Array<string>} - Unique lowercase tags, at most PASSAGE_LIMITS.MAX_TAGS
+ */
+export function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : (typeof tags === 'string' ? tags.split(',') : []);
+  const normalized = [];
+  list.forEach(tag => {
+    const value = String(tag || '').trim().toLowerCase().slice(0, PASSAGE_LIMITS.MAX_TAG_LENGTH);
+    if (value && !normalized.includes(value)) normalized.push(value);
+  });
+  return normalized.slice(0, PASSAGE_LIMITS.MAX_TAGS);
+}
+
+/**
+ * Compute length, word count and difficulty for passage text
+ * @param {string} text - Passage text
+ * @returns {Object} - { length, words, difficultyScore, difficulty }
+ */
+export function computePassageStats(text) {
+  const source = normalizeText((text || '').trim());
+  const length = countGraphemes(source);
+  const words = source ? source.split(/\s+/).length : 0;
+  if (length === 0) {
+    return { length: 0, words: 0, difficultyScore: 0, difficulty: PASSAGE_DIFFICULTIES.EASY };
+  }
+
+  const letters = (source.match(/\p{L}/gu) || []).length;
+  const capitals = (source.match(/\p{Lu}/gu) || []).length;
+  const symbols = (source.match(/[^\p{L}\p{M}\s]/gu) || []).length;
+  const nonSpace = length - (source.match(/\s/g) || []).length;
+
+  const averageWordLength = words > 0 ? letters / words : 0;
+  const score = Math.max(0, averageWordLength - 3) * DIFFICULTY_WEIGHTS.WORD_LENGTH
+    + (nonSpace > 0 ? symbols / nonSpace : 0) * DIFFICULTY_WEIGHTS.SYMBOLS
+    + (letters > 0 ? capitals / letters : 0) * DIFFICULTY_WEIGHTS.CAPITALS
+    + Math.min(length * DIFFICULTY_WEIGHTS.LENGTH, DIFFICULTY_WEIGHTS.LENGTH_CAP);
+  const difficultyScore = Math.round(Math.min(score, 100));
+  const band = PASSAGE_DIFFICULTY_OPTIONS.find(option => difficultyScore <= option.maxScore);
+
+  return { length, words, difficultyScore, difficulty: band.value };
+}
+
+/**
+ * Validate passage input and shape it for the passages collection
+ * @param {Object} data - { title, text, language, tags }
+ * @returns {Object} - { passage } or { error }
+ */
+export function buildPassage(data) {
+  const title = typeof data?.title === 'string' ? data.title.trim() : '';
+  const text = typeof data?.text === 'string' ? normalizeText(data.text.trim()) : '';
+  if (!title) {
+    return { error: 'Title is required' };
+  }
+  if (title.length > PASSAGE_LIMITS.MAX_TITLE_LENGTH) {
+    return { error: `Title must be at most ${PASSAGE_LIMITS.MAX_TITLE_LENGTH} characters` };
+  }
+  const stats = computePassageStats(text);
+  if (stats.length < PASSAGE_LIMITS.MIN_LENGTH || stats.length > PASSAGE_LIMITS.MAX_LENGTH) {
+    return { error: `Text must be between ${PASSAGE_LIMITS.MIN_LENGTH} and ${PASSAGE_LIMITS.MAX_LENGTH} characters` };
+  }
+  return {
+    passage: {
+      title: title,
+      text: text,
+      language: normalizeLanguage(data.language),
+      tags: normalizeTags(data.tags),
+      ...stats
+    }
+  };
+}
+
+/**
+ * Parse an import file
+ * Accepts a JSON array of { title, text, language, tags } objects
+ * (or an object with a "passages" array).
+ * @param {string} content - File or pasted content
+ * @returns {Object} - { records } or { error }
+ */
+export function parsePassageImport(content) {
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (error) {
+    return { error: 'Import must be valid JSON' };
+  }
+  const records = Array.isArray(parsed) ? parsed : parsed?.passages;
+  if (!Array.isArray(records) || records.length === 0) {
+    return { error: 'Import must be a non-empty array of passages' };
+  }
+  if (records.length > PASSAGE_LIMITS.MAX_IMPORT) {
+    return { error: `Import at most ${PASSAGE_LIMITS.MAX_IMPORT} passages at a time` };
+  }
+  return { records };
+}
+
+/**
+ * Filter passages
+ * @param {Array<Object>} passages - Passages from listPassages()
+ * @param {Object} filters - { search, language, tag, difficulty } (empty values match everything)
+ * @returns {Array<Object>} - Matching passages
+ */
+export function filterPassages(passages, filters = {}) {
+  const search = (filters.search || '').trim().toLowerCase();
+  const tag = (filters.tag || '').trim().toLowerCase();
+  return (passages || []).filter(passage => {
+    if (filters.language && passage.language !== filters.language) return false;
+    if (filters.difficulty && passage.difficulty !== filters.difficulty) return false;
+    if (tag && !(passage.tags || []).includes(tag)) return false;
+    if (search) {
+      const haystack = [passage.title, passage.text, ...(passage.tags || [])].join(' ').toLowerCase();
+      if (!haystack.includes(search)) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Pick a random passage matching filters
+ * @param {Array<Object>} passages - Passages from listPassages()
+ * @param {Object} filters - Filters as for filterPassages()
+ * @param {Array<string>} excludeIds - Passage IDs to avoid (e.g. already used by other rounds) while others match
+ * @returns {Object|null} - A passage, or null when none match
+ */
+export function pickRandomPassage(passages, filters = {}, excludeIds = []) {
+  const matches = filterPassages(passages, filters);
+  const fresh = matches.filter(passage => !excludeIds.includes(passage.id));
+  const pool = fresh.length > 0 ? fresh : matches;
+  if (pool.length === 0) return null;
+  return pool[Math.floor(Math.random() * pool.length)];
+}
+
+/**
+ * Build a difficulty-matched pool for rooms with a different passage per participant
+ * Keeps one difficulty band (the filtered one, or the band most matches are in)
+ * and the passages whose difficulty score is closest to the band's median.
+ * @param {Array<Object>} passages - Passages from listPassages()
+ * @param {Object} filters - Filters as for filterPassages()
+ * @returns {Object} - { pool: [{ passageId, title, text, difficultyScore }], matches: number of passages matching the filters }
+ */
+export function buildPassagePool(passages, filters = {}) {
+  const matches = filterPassages(passages, filters);
+  let band = filters.difficulty;
+  if (!band) {
+    const counts = {};
+    matches.forEach(passage => { counts[passage.difficulty] = (counts[passage.difficulty] || 0) + 1; });
+    band = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+  }
+  const inBand = matches.filter(passage => passage.difficulty === band);
+  if (inBand.length === 0) return { pool: [], matches: matches.length };
+
+  const scores = inBand.map(passage => passage.difficultyScore).sort((a, b) => a - b);
+  const median = scores[Math.floor(scores.length / 2)];
+  const pool = inBand
+    .slice()
+    .sort((a, b) => Math.abs(a.difficultyScore - median) - Math.abs(b.difficultyScore - median))
+    .slice(0, PASSAGE_POOL_SIZE.MAX)
+    .map(passage => ({ passageId: passage.id, title: passage.title, text: passage.text, difficultyScore: passage.difficultyScore }));
+  return { pool, matches: matches.length };
+}
+
+/**
+ * Load the whole library
+ * @returns {Promise<Object>} - { success, passages } sorted by title, or { success: false, error }
+ */
+export async function listPassages() {
+  try {
+    const snapshot = await getDocs(collection(db, 'passages'));
+    const passages = [];
+    snapshot.forEach(docSnap => {
+      passages.push({ id: docSnap.id, ...docSnap.data() });
+    });
+    passages.sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+    return { success: true, passages };
+  } catch (error) {
+    console.error('[Passages] List passages error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Get one passage
+ * @param {string} passageId - Passage ID
+ * @returns {Promise<Object|null>} - Passage, or null if missing
+ */
+export async function getPassage(passageId) {
+  try {
+    const passageDoc = await getDoc(doc(db, 'passages', passageId));
+    if (!passageDoc.exists()) {
+      return null;
+    }
+    return { id: passageDoc.id, ...passageDoc.data() };
+  } catch (error) {
+    console.error('[Passages] Get passage error:', error);
+    return null;
+  }
+}
+
+/**
+ * Add a passage to the library
+ * @param {Object} data - { title, text, language, tags }
+ * @param {string} userId - Admin user ID
+ * @returns {Promise<Object>} - { success, passageId } or { success: false, error }
+ */
+export async function createPassage(data, userId) {
+  try {
+    const built = buildPassage(data);
+    if (built.error) {
+      return { success: false, error: built.error };
+    }
+    const passageRef = await addDoc(collection(db, 'passages'), {
+      ...built.passage,
+      createdBy: userId || null,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    });
+    return { success: true, passageId: passageRef.id };
+  } catch (error) {
+    console.error('[Passages] Create passage error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Update a passage; stats are recomputed from the new text
+ * @param {string} passageId - Passage ID
+ * @param {Object} data - { title, text, language, tags }
+ * @returns {Promise<Object>} - { success } or { success: false, error }
+ */
+export async function updatePassage(passageId, data) {
+  try {
+    if (!passageId) {
+      return { success: false, error: 'Passage ID is required' };
+    }
+    const built = buildPassage(data);
+    if (built.error) {
+      return { success: false, error: built.error };
+    }
+    await updateDoc(doc(db, 'passages', passageId), {
+      ...built.passage,
+      updatedAt: serverTimestamp()
+    });
+    return { success: true };
+  } catch (error) {
+    console.error('[Passages] Update passage error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Delete a passage (rooms that used it keep their copy of the text)
+ * @param {string} passageId - Passage ID
+ * @returns {Promise<Object>} - { success } or { success: false, error }
+ */
+export async function deletePassage(passageId) {
+  try {
+    await deleteDoc(doc(db, 'passages', passageId));
+    return { success: true };
+  } catch (error) {
+    console.error('[Passages] Delete passage error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Import passages in one batch
+ * Invalid records are skipped and reported; valid ones are all written or none are.
+ * @param {Array<Object>} records - Records from parsePassageImport()
+ * @param {string} userId - Admin user ID
+ * @returns {Promise<Object>} - { success, imported, skipped: [{ index, title, error }] }
+ */
+export async function importPassages(records, userId) {
+  try {
+    const batch = writeBatch(db);
+    const skipped = [];
+    let imported = 0;
+    (records || []).forEach((record, index) => {
+      const built = buildPassage(record);
+      if (built.error) {
+        skipped.push({ index: index, title: record?.title || '', error: built.error });
+        return;
+      }
+      batch.set(doc(collection(db, 'passages')), {
+        ...built.passage,
+        createdBy: userId || null,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      });
+      imported++;
+    });
+    if (imported > 0) {
+      await batch.commit();
+    }
+    return { success: true, imported, skipped };
+  } catch (error) {
+    console.error('[Passages] Import passages error:', error);
+    return { success: false, error: error.message, imported: 0, skipped: [] };
+  }
+}
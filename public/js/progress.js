@@ -0,0 +1,178 @@
+/**
+ * Live Progress Module
+ *
+ * Streams typing progress from participants to a lightweight per-room store
+ * so admins can monitor a round while it runs:
+ * - One small document per participant (progress/{roomId}_{userId})
+ * - Writes are throttled to one per PROGRESS_THROTTLE_MS and only happen on activity
+ * - Idle participants never write; admins derive idle time from lastActivityAt
+ */
+
+import { db } from './firebase.js';
+import {
+  collection,
+  doc,
+  setDoc,
+  getDocs,
+  query,
+  where,
+  onSnapshot,
+  writeBatch,
+  serverTimestamp
+} from "https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js";
+
+// Minimum gap between progress writes from one participant
+export const PROGRESS_THROTTLE_MS = 3000;
+
+/**
+ * Build the progress document ID for a participant
+ * @param {string} roomId - Room ID
+ * @param {string} userId - User ID
+ * @returns {string} - Document ID
+ */
+function getProgressDocId(roomId, userId) {
+  return `${roomId}_${userId}`;
+}
+
+/**
+ * Create a throttled progress reporter for one participant and round
+ * @param {string} roomId - Room ID
+ * @param {string} userId - User ID
+ * @param {number} roundNumber - Round number
+ * @returns {Object} - { report, markSubmitted, stop }
+ */
+export function createProgressReporter(roomId, userId, roundNumber) {
+  const progressRef = doc(db, 'progress', getProgressDocId(roomId, userId));
+  let pending = null;
+  let lastSentAt = 0;
+  let timer = null;
+  let stopped = false;
+
+  const write = async (fields) => {
+    try {
+      await setDoc(progressRef, {
+        roomId: roomId,
+        userId: userId,
+        round: roundNumber,
+        ...fields
+      }, { merge: true });
+    } catch (error) {
+      // Progress is best-effort; never interrupt the round because of it
+      console.error('[Progress] Write error:', error);
+    }
+  };
+
+  const toFields = (progress) => ({
+    chars: progress.chars,
+    position: progress.position,
+    totalChars: progress.totalChars,
+    percent: progress.percent,
+    lastActivityAt: serverTimestamp()
+  });
+
+  const flush = () => {
+    timer = null;
+    if (!pending || stopped) return;
+    const progress = pending;
+    pending = null;
+    lastSentAt = Date.now();
+    write({ ...toFields(progress), submitted: false });
+  };
+
+  return {
+    /**
+     * Queue the latest progress; it is written at most once per throttle window
+     * @param {Object} progress - { chars, position, totalChars, percent }
+     */
+    report(progress) {
+      if (stopped) return;
+      pending = progress;
+      if (timer) return;
+      const wait = Math.max(0, PROGRESS_THROTTLE_MS - (Date.now() - lastSentAt));
+      timer = setTimeout(flush, wait);
+    },
+    /**
+     * Write any queued progress together with the submitted flag and stop reporting
+     * @returns {Promise<void>}
+     */
+    async markSubmitted() {
+      const progress = pending;
+      this.stop();
+      await write({
+        ...(progress ? toFields(progress) : {}),
+        submitted: true,
+        submittedAt: serverTimestamp()
+      });
+    },
+    /**
+     * Stop reporting and drop any queued progress
+     */
+    stop() {
+      stopped = true;
+      pending = null;
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+    }
+  };
+}
+
+/**
+ * Listen to live progress for a round
+ * @param {string} roomId - Room ID
+ * @param {number} roundNumber - Round number
+ * @param {Function} callback - Called with an object of progress entries keyed by userId
+ * @returns {Function} - Unsubscribe function
+ */
+export function listenToRoomProgress(roomId, roundNumber, callback) {
+  const progressQuery = query(
+    collection(db, 'progress'),
+    where('roomId', '==', roomId),
+    where('round', '==', roundNumber)
+  );
+  return onSnapshot(progressQuery, (snapshot) => {
+    const progressByUser = {};
+    snapshot.forEach(docSnap => {
+      const data = docSnap.data();
+      progressByUser[data.userId] = {
+        ...data,
+        lastActivityMs: data.lastActivityAt?.toMillis ? data.lastActivityAt.toMillis() : null
+      };
+    });
+    callback(progressByUser);
+  }, (error) => {
+    console.error('[Progress] Listener error:', error);
+  });
+}
+
+/**
+ * Delete progress documents for a room (optionally a single round)
+ * @param {string} roomId - Room ID
+ * @param {number} roundNumber - Round number to clear (all rounds when omitted)
+ * @returns {Promise<Object>} - { success, deleted }
+ */
+export async function clearRoomProgress(roomId, roundNumber = null) {
+  try {
+    const constraints = [where('roomId', '==', roomId)];
+    if (roundNumber !== null) {
+      constraints.push(where('round', '==', roundNumber));
+    }
+    const snapshot = await getDocs(query(collection(db, 'progress'), ...constraints));
+
+    const batch = writeBatch(db);
+    let count = 0;
+    snapshot.forEach(docSnap => {
+      batch.delete(docSnap.ref);
+      count++;
+    });
+    if (count > 0) {
+      await batch.commit();
+    }
+
+    return { success: true, deleted: count };
+  } catch (error) {
+    console.error('[Progress] clearRoomProgress error:', error);
+    return { success: false, error: error.message };
+  }
+}
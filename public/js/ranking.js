@@ -0,0 +1,138 @@
+/**
+ * Ranking Module
+ *
+ * The one ranking policy used for qualification, leaderboards and exports:
+ * - Disqualified results always rank last, after participants without a result
+ * - Everyone else is ordered by the room's tie-breakers, in order
+ * - Entries equal on every tie-breaker share a rank (1, 2, 2, 4)
+ * - Qualification is by rank, so an exact tie at the cutoff qualifies everyone in it
+ */
+
+import { compareCompletion } from './scoring.js';
+
+export const TIE_BREAKERS = {
+  SCORE: 'score',
+  NET_WPM: 'net-wpm',
+  ACCURACY: 'accuracy',
+  COMPLETION: 'completion',
+  FEWER_CORRECTIONS: 'fewer-corrections',
+  SUBMISSION_TIME: 'submission-time'
+};
+
+// Differences smaller than this count as equal (scores are stored with 2 decimals)
+const EPSILON = 0.01;
+
+export const DEFAULT_TIE_BREAKERS = [
+  TIE_BREAKERS.SCORE,
+  TIE_BREAKERS.ACCURACY,
+  TIE_BREAKERS.COMPLETION,
+  TIE_BREAKERS.NET_WPM,
+  TIE_BREAKERS.SUBMISSION_TIME
+];
+
+// Labels for the room setup form
+export const TIE_BREAKER_OPTIONS = [
+  { value: TIE_BREAKERS.SCORE, label: 'Higher final score' },
+  { value: TIE_BREAKERS.NET_WPM, label: 'Higher net WPM' },
+  { value: TIE_BREAKERS.ACCURACY, label: 'Higher accuracy' },
+  { value: TIE_BREAKERS.COMPLETION, label: 'Finished the paragraph, faster first' },
+  { value: TIE_BREAKERS.FEWER_CORRECTIONS, label: 'Fewer corrections' },
+  { value: TIE_BREAKERS.SUBMISSION_TIME, label: 'Earlier submission' }
+];
+
+/**
+ * Drop unknown and duplicate tie-breakers, falling back to the default order
+ * @param {Array<string>} tieBreakers - Configured tie-breakers
+ * @returns {Array<string>} - Valid tie-breakers in order
+ */
+export function normalizeTieBreakers(tieBreakers) {
+  if (!Array.isArray(tieBreakers)) return DEFAULT_TIE_BREAKERS.slice();
+  const valid = Object.values(TIE_BREAKERS);
+  const normalized = tieBreakers.filter((value, index) => valid.includes(value) && tieBreakers.indexOf(value) === index);
+  return normalized.length > 0 ? normalized : DEFAULT_TIE_BREAKERS.slice();
+}
+
+/**
+ * Compare two numbers, higher first, treating near-equal values as a tie
+ * @param {number} a - First value
+ * @param {number} b - Second value
+ * @returns {number} - Comparator result
+ */
+function higherFirst(a, b) {
+  const diff = (b || 0) - (a || 0);
+  return Math.abs(diff) > EPSILON ? diff : 0;
+}
+
+/**
+ * Get a submission time in milliseconds (missing times sort last)
+ * @param {Object} entry - Result
+ * @returns {number} - Milliseconds
+ */
+function submittedMs(entry) {
+  if (entry.submittedAt?.toMillis) return entry.submittedAt.toMillis();
+  if (typeof entry.submittedAt === 'number') return entry.submittedAt;
+  return Number.MAX_SAFE_INTEGER;
+}
+
+// One comparator per tie-breaker; negative means a ranks first
+const COMPARATORS = {
+  [TIE_BREAKERS.SCORE]: (a, b) => higherFirst(a.finalScore, b.finalScore),
+  [TIE_BREAKERS.NET_WPM]: (a, b) => higherFirst(a.netWpm ?? a.wpm, b.netWpm ?? b.wpm),
+  [TIE_BREAKERS.ACCURACY]: (a, b) => higherFirst(a.accuracy, b.accuracy),
+  [TIE_BREAKERS.COMPLETION]: (a, b) => compareCompletion(a, b),
+  [TIE_BREAKERS.FEWER_CORRECTIONS]: (a, b) => (a.corrections?.used || 0) - (b.corrections?.used || 0),
+  [TIE_BREAKERS.SUBMISSION_TIME]: (a, b) => Math.sign(submittedMs(a) - submittedMs(b))
+};
+
+/**
+ * Place an entry in its group: results, then participants without a result, then disqualified
+ * @param {Object} entry - Result or participant entry
+ * @returns {number} - Group order
+ */
+function rankGroup(entry) {
+  if (entry.disqualified) return 2;
+  return entry.submittedAt ? 0 : 1;
+}
+
+/**
+ * Compare two results under a ranking policy
+ * @param {Object} a - Result
+ * @param {Object} b - Result
+ * @param {Array<string>} tieBreakers - Tie-breakers in order
+ * @returns {number} - Negative if a ranks first, positive if b ranks first, 0 for an exact tie
+ */
+export function compareResults(a, b, tieBreakers = DEFAULT_TIE_BREAKERS) {
+  const group = rankGroup(a) - rankGroup(b);
+  if (group !== 0) return group;
+  for (const tieBreaker of normalizeTieBreakers(tieBreakers)) {
+    const result = COMPARATORS[tieBreaker](a, b);
+    if (result !== 0) return result;
+  }
+  return 0;
+}
+
+/**
+ * Sort results and assign ranks; exact ties share a rank
+ * @param {Array<Object>} results - Results or leaderboard entries (not modified)
+ * @param {Array<string>} tieBreakers - Tie-breakers in order
+ * @returns {Array<Object>} - New sorted array of copies with a rank field
+ */
+export function rankResults(results, tieBreakers = DEFAULT_TIE_BREAKERS) {
+  const order = normalizeTieBreakers(tieBreakers);
+  const sorted = results.map(entry => ({ ...entry })).sort((a, b) => compareResults(a, b, order));
+  sorted.forEach((entry, index) => {
+    const previous = sorted[index - 1];
+    entry.rank = previous && compareResults(previous, entry, order) === 0 ? previous.rank : index + 1;
+  });
+  return sorted;
+}
+
+/**
+ * Check whether a ranked entry qualifies
+ * @param {Object} entry - Entry from rankResults()
+ * @param {number} qualifyCount - Number of winners
+ * @returns {boolean} - True if within the cutoff, submitted and not disqualified
+ */
+export function isQualified(entry, qualifyCount) {
+  return !!entry.submittedAt && !entry.disqualified && entry.rank <= qualifyCount;
+}
@@ -0,0 +1,271 @@
+/**
+ * Typing Recovery Module
+ *
+ * Persists an in-progress typing session to localStorage so a refresh or
+ * browser crash mid-round does not wipe out what the participant typed:
+ * - Snapshots are written on activity, throttled to one per RECOVERY_SAVE_INTERVAL_MS,
+ *   and flushed when the page is hidden or unloaded
+ * - One snapshot per participant and round (typingBuffer_{roomId}_{round}_{userId})
+ * - Restoring validates a checksum and replays the keystroke log; the buffer must
+ *   be exactly what the logged keys produce, with plausible timings. Anything else
+ *   is rejected and the participant starts from an empty buffer.
+ * - The checksum is only a corruption check (truncated writes, snapshots from another
+ *   room or paragraph). It is computed by public client code, so anyone can recompute
+ *   it for an edited snapshot; it is not tamper protection.
+ * - Nothing stored in the browser can be trusted. The submitResult function replays the
+ *   submitted keystroke log under the round's rules and scores only what it produces,
+ *   so a restored buffer counts for no more than typing the same keys would. Restored
+ *   and rejected sessions are reported with the result so admins can review them.
+ */
+
+import { countGraphemes } from './graphemes.js';
+import { replayKeystrokes } from './keystrokeReplay.js';
+
+// Minimum gap between snapshot writes while typing
+export const RECOVERY_SAVE_INTERVAL_MS = 1000;
+
+// Allowed clock drift when checking snapshot timings
+const CLOCK_TOLERANCE_MS = 5000;
+
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Build the localStorage key for a participant's snapshot
+ * @param {Object} context - { roomId, userId, roundNumber }
+ * @returns {string} - Storage key
+ */
+export function getRecoveryKey(context) {
+  return `typingBuffer_${context.roomId}_${context.roundNumber}_${context.userId}`;
+}
+
+/**
+ * Hash a string (cyrb53) for snapshot checksums; fast, not cryptographic
+ * @param {string} text - Text to hash
+ * @returns {string} - Hex hash
+ */
+function hashString(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+}
+
+/**
+ * Compute the checksum of a snapshot body, bound to its room, user, round and paragraph
+ * Detects corrupted or mismatched snapshots, not deliberate edits (see the module notes)
+ * @param {Object} body - Snapshot without its checksum
+ * @param {Object} context - { roomId, userId, roundNumber, paragraph }
+ * @returns {string} - Checksum
+ */
+function computeChecksum(body, context) {
+  return hashString([
+    context.roomId,
+    context.userId,
+    context.roundNumber,
+    hashString(context.paragraph || ''),
+    JSON.stringify(body)
+  ].join('|'));
+}
+
+/**
+ * Replay a keystroke log and check that it reproduces the stored buffer
+ * @param {Object} snapshot - Stored snapshot
+ * @returns {string|null} - Rejection reason, or null if consistent
+ */
+function verifyReplay(snapshot) {
+  const replay = replayKeystrokes(snapshot.keystrokes);
+  if (replay.error) {
+    return replay.error;
+  }
+  if (replay.text !== snapshot.typedText) {
+    return 'Buffer does not match the keystroke log';
+  }
+  if (replay.corrections !== snapshot.correctionsUsed) {
+    return 'Correction count does not match the keystroke log';
+  }
+  if (snapshot.keystrokes.length > 0 && (snapshot.elapsedMs === null || replay.lastT > snapshot.elapsedMs + CLOCK_TOLERANCE_MS)) {
+    return 'Keystroke timings exceed the typing time';
+  }
+  return null;
+}
+
+/**
+ * Load and validate a stored snapshot
+ * @param {Object} context - { roomId, userId, roundNumber, paragraph, roundStartedAt }
+ * @returns {Object|null} - { snapshot } or { error }; null if nothing is stored
+ */
+function loadSnapshot(context) {
+  let raw = null;
+  try {
+    raw = localStorage.getItem(getRecoveryKey(context));
+  } catch (error) {
+    console.error('[Recovery] Read error:', error);
+    return null;
+  }
+  if (!raw) return null;
+
+  let stored;
+  try {
+    stored = JSON.parse(raw);
+  } catch (error) {
+    return { error: 'Snapshot is corrupted' };
+  }
+
+  const { checksum, ...body } = stored || {};
+  if (!checksum || checksum !== computeChecksum(body, context)) {
+    return { error: 'Snapshot checksum mismatch' };
+  }
+  if (body.v !== SNAPSHOT_VERSION || typeof body.typedText !== 'string' ||
+      !Array.isArray(body.keystrokes) || !Array.isArray(body.incidents) ||
+      typeof body.savedAt !== 'number') {
+    return { error: 'Snapshot format is invalid' };
+  }
+
+  const now = Date.now();
+  if (body.savedAt > now + CLOCK_TOLERANCE_MS) {
+    return { error: 'Snapshot is dated in the future' };
+  }
+  // Typing cannot have started before the round did
+  if (context.roundStartedAt && body.elapsedMs !== null &&
+      body.savedAt - body.elapsedMs < context.roundStartedAt - CLOCK_TOLERANCE_MS) {
+    return { error: 'Snapshot predates the round start' };
+  }
+
+  const replayError = verifyReplay(body);
+  if (replayError) {
+    return { error: replayError };
+  }
+  return { snapshot: body };
+}
+
+/**
+ * Remove a participant's stored snapshot (after submitting)
+ * @param {Object} context - { roomId, userId, roundNumber }
+ */
+export function clearRecoverySnapshot(context) {
+  try {
+    localStorage.removeItem(getRecoveryKey(context));
+  } catch (error) {
+    console.error('[Recovery] Clear error:', error);
+  }
+}
+
+/**
+ * Restore a freshly started session from the stored snapshot, if any
+ * The time away is recorded as a 'page-reload' incident.
+ * @param {TypingSession} session - Session with no input yet
+ * @param {Object} context - { roomId, userId, roundNumber, paragraph, roundStartedAt }
+ * @returns {Object|null} - { restored: true, restoredChars, gapMs } or { restored: false, reason }; null if nothing was stored
+ */
+export function restoreTypingSession(session, context) {
+  const loaded = loadSnapshot(context);
+  if (!loaded) return null;
+
+  if (loaded.error) {
+    console.warn('[Recovery] Snapshot rejected:', loaded.error);
+    clearRecoverySnapshot(context);
+    return { restored: false, reason: loaded.error };
+  }
+
+  const snapshot = loaded.snapshot;
+  const gapMs = Math.max(0, Date.now() - snapshot.savedAt);
+  const typingStarted = snapshot.elapsedMs !== null;
+  const incidents = snapshot.incidents.slice();
+  if (typingStarted) {
+    incidents.push({ type: 'page-reload', t: snapshot.elapsedMs, duration: gapMs });
+  }
+
+  const restored = session.restore({
+    typedText: snapshot.typedText,
+    keystrokes: snapshot.keystrokes,
+    incidents: incidents,
+    correctionsUsed: snapshot.correctionsUsed,
+    correctionsBlocked: snapshot.correctionsBlocked,
+    elapsedMs: typingStarted ? snapshot.elapsedMs + gapMs : null
+  });
+  if (!restored) {
+    return { restored: false, reason: 'Session already has input' };
+  }
+
+  console.log('[Recovery] Restored', countGraphemes(snapshot.typedText), 'characters after', gapMs, 'ms');
+  return { restored: true, restoredChars: countGraphemes(snapshot.typedText), gapMs: gapMs };
+}
+
+/**
+ * Persist a session's state while it runs
+ * @param {TypingSession} session - Session to persist
+ * @param {Object} context - { roomId, userId, roundNumber, paragraph }
+ * @returns {Object} - { flush, stop }
+ */
+export function persistTypingSession(session, context) {
+  const key = getRecoveryKey(context);
+  let timer = null;
+  let lastSavedAt = 0;
+  let stopped = false;
+
+  const save = () => {
+    timer = null;
+    if (stopped) return;
+    lastSavedAt = Date.now();
+    const body = {
+      v: SNAPSHOT_VERSION,
+      ...session.snapshot(),
+      savedAt: lastSavedAt
+    };
+    try {
+      localStorage.setItem(key, JSON.stringify({ ...body, checksum: computeChecksum(body, context) }));
+    } catch (error) {
+      // Recovery is best-effort; never interrupt the round because of it
+      console.error('[Recovery] Write error:', error);
+    }
+  };
+
+  const schedule = () => {
+    if (stopped || timer) return;
+    const wait = Math.max(0, RECOVERY_SAVE_INTERVAL_MS - (Date.now() - lastSavedAt));
+    timer = setTimeout(save, wait);
+  };
+
+  const flush = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    save();
+  };
+
+  const handleVisibilityChange = () => {
+    if (document.visibilityState === 'hidden') flush();
+  };
+
+  const unsubscribers = [
+    session.on('keystroke', schedule),
+    session.on('incident', schedule)
+  ];
+  window.addEventListener('pagehide', flush);
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+
+  return {
+    /**
+     * Write the current state immediately
+     */
+    flush,
+    /**
+     * Stop persisting (the stored snapshot is kept until clearRecoverySnapshot)
+     */
+    stop() {
+      if (stopped) return;
+      flush();
+      stopped = true;
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+      window.removeEventListener('pagehide', flush);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    }
+  };
+}
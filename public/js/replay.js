@@ -0,0 +1,206 @@
+/**
+ * Replay Module
+ *
+ * Re-plays a submitted result from its stored keystroke log:
+ * - Rebuilds the hidden buffer keystroke by keystroke
+ * - Tracks cursor position, mistakes and backspaces over time, marking mistakes
+ *   with the same comparison the result was scored with (scoring.js)
+ * - Supports real-time and accelerated playback
+ */
+
+import { db } from './firebase.js';
+import { splitGraphemes, normalizeText } from './graphemes.js';
+import { SCORING_MODES, alignGraphemes } from './scoring.js';
+import {
+  doc,
+  getDoc
+} from "https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js";
+
+// Playback speeds offered by the replay viewer
+export const REPLAY_SPEEDS = [1, 2, 4, 8];
+
+/**
+ * Load a result and the paragraph it was typed against
+ * @param {string} roomId - Room ID
+ * @param {string} resultId - Result document ID
+ * @returns {Promise<Object>} - { success, result, paragraph }
+ */
+export async function loadReplayData(roomId, resultId) {
+  try {
+    const resultRef = doc(db, 'results', resultId);
+    const resultDoc = await getDoc(resultRef);
+
+    if (!resultDoc.exists()) {
+      return { success: false, error: 'Result not found' };
+    }
+
+    const result = { id: resultDoc.id, ...resultDoc.data() };
+
+    if (result.roomId !== roomId) {
+      return { success: false, error: 'Result does not belong to this room' };
+    }
+
+    // Results store the paragraph they were scored against; older results fall back to the room config
+    let paragraph = result.paragraph || '';
+    if (!paragraph) {
+      const configDoc = await getDoc(doc(db, 'roomConfig', roomId));
+      if (configDoc.exists()) {
+        paragraph = configDoc.data().rounds?.[`r${result.round || 1}`]?.paragraph || '';
+      }
+    }
+
+    return { success: true, result: result, paragraph: paragraph.trim() };
+  } catch (error) {
+    console.error('[Replay] loadReplayData error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Create a tracker that rebuilds the buffer as a replay moves through the log
+ * Moving forward applies only the new keystrokes; moving back starts over from the beginning.
+ * @param {Array<Object>} keystrokes - Keystroke log
+ * @param {string} paragraph - Paragraph the participant was typing
+ * @param {string} mode - Scoring mode the result was scored with (alignment by default)
+ * @returns {Object} - { paragraphChars, moveTo(count) }; moveTo returns the state after `count` keystrokes:
+ *   { bufferChars, cursor, paragraphCursor, mistakes, paragraphMistakes, errorCount, backspaces, elapsedMs, lastKey }
+ *   Positions are grapheme indexes: mistakes in the buffer (wrong or extra characters), paragraphMistakes in
+ *   the paragraph (typed wrong or skipped), paragraphCursor is how far into the paragraph the buffer reaches
+ */
+export function createReplayTracker(keystrokes, paragraph, mode) {
+  const paragraphChars = splitGraphemes(normalizeText(paragraph));
+  let applied = 0;
+  let bufferChars = [];
+  let backspaces = 0;
+
+  const applyNext = () => {
+    const entry = keystrokes[applied++];
+    if (entry.kind === 'backspace') {
+      bufferChars.pop();
+      backspaces++;
+      return;
+    }
+    // A typed character can join the last one (combining marks, emoji sequences)
+    const typed = entry.kind === 'enter' ? '\n' : (entry.k || '');
+    const last = bufferChars.length > 0 ? bufferChars.pop() : '';
+    splitGraphemes(normalizeText(last + typed)).forEach(char => bufferChars.push(char));
+  };
+
+  const describe = () => {
+    const mistakes = [];
+    const paragraphMistakes = [];
+    let paragraphCursor = 0;
+    let errorCount = 0; // Wrong, extra and skipped characters count once each, as in the score
+    if (mode === SCORING_MODES.POSITIONAL) {
+      bufferChars.forEach((char, index) => {
+        if (char !== paragraphChars[index]) {
+          mistakes.push(index);
+          if (index < paragraphChars.length) paragraphMistakes.push(index);
+        }
+      });
+      paragraphCursor = Math.min(bufferChars.length, paragraphChars.length);
+      errorCount = mistakes.length;
+    } else {
+      let typedIndex = 0;
+      alignGraphemes(paragraphChars, bufferChars).forEach(entry => {
+        if (entry.op === 'missing') return;
+        if (entry.op !== 'match') errorCount++;
+        if (entry.op === 'substitution' || entry.op === 'insertion') mistakes.push(typedIndex);
+        if (entry.op === 'substitution' || entry.op === 'deletion') paragraphMistakes.push(paragraphCursor);
+        if (entry.typed !== null) typedIndex++;
+        if (entry.expected !== null) paragraphCursor++;
+      });
+    }
+
+    const lastEntry = applied > 0 ? keystrokes[applied - 1] : null;
+    return {
+      bufferChars: bufferChars.slice(),
+      cursor: bufferChars.length,
+      paragraphCursor: paragraphCursor,
+      mistakes: mistakes,
+      paragraphMistakes: paragraphMistakes,
+      errorCount: errorCount,
+      backspaces: backspaces,
+      elapsedMs: lastEntry ? lastEntry.t : 0,
+      lastKey: lastEntry
+    };
+  };
+
+  return {
+    paragraphChars: paragraphChars,
+    moveTo(count) {
+      const target = Math.max(0, Math.min(count, keystrokes.length));
+      if (target < applied) {
+        applied = 0;
+        bufferChars = [];
+        backspaces = 0;
+      }
+      while (applied < target) applyNext();
+      return describe();
+    }
+  };
+}
+
+/**
+ * Create a replay player that steps through a keystroke log in time
+ * @param {Array<Object>} keystrokes - Keystroke log
+ * @param {Function} onStep - Called with the number of applied keystrokes after every step
+ * @returns {Object} - Player controls
+ */
+export function createReplayPlayer(keystrokes, onStep) {
+  let position = 0;
+  let speed = 1;
+  let timer = null;
+
+  const scheduleNext = () => {
+    if (position >= keystrokes.length) {
+      timer = null;
+      return;
+    }
+    const previousTime = position > 0 ? keystrokes[position - 1].t : 0;
+    const delay = Math.max(0, keystrokes[position].t - previousTime) / speed;
+    timer = setTimeout(() => {
+      position++;
+      if (position >= keystrokes.length) {
+        timer = null;
+      }
+      onStep(position);
+      scheduleNext();
+    }, delay);
+  };
+
+  const pause = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+
+  return {
+    play() {
+      if (timer) return;
+      if (position >= keystrokes.length) {
+        position = 0;
+        onStep(position);
+      }
+      scheduleNext();
+    },
+    pause: pause,
+    seek(count) {
+      const wasPlaying = timer !== null;
+      pause();
+      position = Math.max(0, Math.min(count, keystrokes.length));
+      onStep(position);
+      if (wasPlaying) scheduleNext();
+    },
+    setSpeed(newSpeed) {
+      speed = newSpeed > 0 ? newSpeed : 1;
+    },
+    isPlaying() {
+      return timer !== null;
+    },
+    getPosition() {
+      return position;
+    }
+  };
+}
@@ -5,6 +5,16 @@
  */
 
 import { db } from './firebase.js';
+import { normalizeBlindness } from './blindness.js';
+import { CORRECTION_POLICIES, normalizeCorrectionPolicy } from './corrections.js';
+import { normalizeScoringMode } from './scoring.js';
+import { SCORING_PROFILE_TYPES, resolveScoringProfile, validateFormula } from './scoringProfiles.js';
+import { normalizeTieBreakers } from './ranking.js';
+import { normalizeTextOptions } from './textNormalization.js';
+import { PASSAGE_MODES, PASSAGE_POOL_SIZE, normalizePassageMode, normalizePassagePool } from './passageAssignment.js';
+import { MAX_ROUNDS, validateScheduledStart } from './roundStart.js';
+import { PASSAGE_LIMITS } from './passages.js';
+import { countGraphemes } from './graphemes.js';
 import { 
   collection, 
   addDoc, 
@@ -15,9 +25,12 @@ import {
   query, 
   where, 
   onSnapshot,
-  serverTimestamp 
+  serverTimestamp,
+  Timestamp
 } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js";
 
+export { MAX_ROUNDS };
+
 /**
  * Generate unique room code (6 characters)
  * @returns {string} - Random room code
@@ -31,12 +44,75 @@ function generateRoomCode() {
   return code;
 }
 
+/**
+ * Validate one round's settings and shape them for roomConfig
+ * @param {Object} roundData - Round settings from the form
+ * @param {number} roundNumber - Round number (for error messages)
+ * @param {string} passageMode - Room passage mode from passageAssignment.js
+ * @returns {Object} - { round } or { error }
+ */
+function buildRoundConfig(roundData, roundNumber, passageMode) {
+  const label = `Round ${roundNumber}`;
+  const randomized = passageMode === PASSAGE_MODES.RANDOMIZED;
+  const passagePool = randomized ? normalizePassagePool(roundData?.passagePool) : [];
+  if (randomized && passagePool.length < PASSAGE_POOL_SIZE.MIN) {
+    return { error: `${label} needs at least ${PASSAGE_POOL_SIZE.MIN} passages of matching difficulty` };
+  }
+  // The pool's first passage stands in as the round paragraph for anything not per-participant
+  const paragraph = randomized ? passagePool[0].text : roundData?.paragraph;
+  if (!roundData || !paragraph || !roundData.time || !roundData.qualifyCount) {
+    return { error: `${label} configuration is incomplete` };
+  }
+  // Same limit as the passage library; scoring aligns every submission against the paragraph
+  const texts = randomized ? passagePool.map(entry => entry.text) : [paragraph];
+  if (texts.some(text => countGraphemes(text.trim()) > PASSAGE_LIMITS.MAX_LENGTH)) {
+    return { error: `${label} paragraph must be at most ${PASSAGE_LIMITS.MAX_LENGTH} characters` };
+  }
+  if (roundData.time <= 0 || roundData.time > 3600) {
+    return { error: `${label} time must be between 1 and 3600 seconds` };
+  }
+  if (roundData.qualifyCount < 1) {
+    return { error: `${label} qualify count must be at least 1` };
+  }
+  if (roundData.correctionPolicy === CORRECTION_POLICIES.LIMITED && !(parseInt(roundData.correctionLimit) > 0)) {
+    return { error: `${label} correction limit must be at least 1` };
+  }
+  const correction = normalizeCorrectionPolicy(roundData.correctionPolicy, roundData.correctionLimit);
+  const round = {
+    paragraph: paragraph.trim(),
+    time: parseInt(roundData.time),
+    qualifyCount: parseInt(roundData.qualifyCount),
+    blindness: normalizeBlindness(roundData.blindness),
+    correctionPolicy: correction.policy,
+    correctionLimit: correction.limit,
+    autoFinish: !!roundData.autoFinish,
+    scoringMode: normalizeScoringMode(roundData.scoringMode),
+    // Library passage the paragraph was copied from (null when typed by hand or randomized)
+    passageId: !randomized && typeof roundData.passageId === 'string' && roundData.passageId ? roundData.passageId : null,
+    passageTitle: !randomized && roundData.passageId && typeof roundData.passageTitle === 'string' ? roundData.passageTitle : null
+  };
+  if (randomized) round.passagePool = passagePool;
+  return { round };
+}
+
 /**
  * Create a new room
  * @param {Object} config - Room configuration
  * @param {string} config.roomName - Name of the room
- * @param {Object} config.rounds - Round configurations
+ * @param {Object} config.rounds - Round configurations r1..rN, at most MAX_ROUNDS. Each has paragraph, time
+ *   and qualifyCount (participants advancing; winners in the final round), blindness, correctionPolicy and
+ *   correctionLimit for the backspace policy, autoFinish auto-submission, scoringMode alignment or
+ *   legacy positional comparison, and passageId/passageTitle when the paragraph came from the passage library.
+ *   With randomized passages each round has a passagePool instead of a paragraph
  * @param {string} config.userId - Admin user ID
+ * @param {number} config.maxIncidents - Focus incidents before auto-disqualification (0 = disabled)
+ * @param {boolean} config.proctored - Proctored exam mode (enforced fullscreen, blocked shortcuts)
+ * @param {string} config.scoringProfile - Scoring profile ID from scoringProfiles.js (default standard tiers)
+ * @param {string} config.scoringFormula - Expression for the custom formula profile
+ * @param {Array<string>} config.tieBreakers - Ranking tie-breakers in order, from ranking.js (default order if omitted)
+ * @param {Object} config.normalization - Text normalization options from textNormalization.js (exact match if omitted)
+ * @param {string} config.passageMode - 'shared' or 'randomized' from passageAssignment.js (shared if omitted)
+ * @param {Date} config.scheduledStartAt - When round 1 starts automatically (manual start if omitted)
  * @returns {Promise<Object>} - Created room object
  */
 export async function createRoom(config) {
@@ -56,26 +132,60 @@ export async function createRoom(config) {
       };
     }
     
-    // Validate round configuration
-    const roundData = config.rounds.r1;
-    if (!roundData.paragraph || !roundData.time || !roundData.qualifyCount) {
+    // Validate round configuration (r1, r2, ... without gaps)
+    const roundCount = Object.keys(config.rounds).length;
+    if (roundCount > MAX_ROUNDS) {
       return {
         success: false,
-        error: 'Round configuration is incomplete'
+        error: `A room can have at most ${MAX_ROUNDS} rounds`
       };
     }
-    if (roundData.time <= 0 || roundData.time > 3600) {
-      return {
-        success: false,
-        error: 'Round time must be between 1 and 3600 seconds'
-      };
+    const passageMode = normalizePassageMode(config.passageMode);
+    const rounds = {};
+    for (let roundNumber = 1; roundNumber <= roundCount; roundNumber++) {
+      const built = buildRoundConfig(config.rounds[`r${roundNumber}`], roundNumber, passageMode);
+      if (built.error) {
+        return {
+          success: false,
+          error: built.error
+        };
+      }
+      const previous = rounds[`r${roundNumber - 1}`];
+      if (previous && built.round.qualifyCount > previous.qualifyCount) {
+        return {
+          success: false,
+          error: `Round ${roundNumber} cannot have more qualifiers than round ${roundNumber - 1}`
+        };
+      }
+      rounds[`r${roundNumber}`] = built.round;
     }
-    if (roundData.qualifyCount < 1) {
+    const scoringProfile = { ...resolveScoringProfile(config.scoringProfile) };
+    if (scoringProfile.type === SCORING_PROFILE_TYPES.FORMULA) {
+      if (config.scoringFormula) scoringProfile.formula = String(config.scoringFormula).trim();
+      const formulaCheck = validateFormula(scoringProfile.formula);
+      if (!formulaCheck.valid) {
+        return {
+          success: false,
+          error: `Invalid scoring formula: ${formulaCheck.error}`
+        };
+      }
+    }
+    const maxIncidents = parseInt(config.maxIncidents) || 0;
+    if (maxIncidents < 0) {
       return {
         success: false,
-        error: 'Winner count must be at least 1'
+        error: 'Incident limit cannot be negative'
       };
     }
+    if (config.scheduledStartAt) {
+      const scheduleError = validateScheduledStart(config.scheduledStartAt.getTime(), Date.now());
+      if (scheduleError) {
+        return {
+          success: false,
+          error: scheduleError
+        };
+      }
+    }
     
     // Generate unique room code (retry if duplicate)
     let roomCode = generateRoomCode();
@@ -110,6 +220,7 @@ export async function createRoom(config) {
       currentRound: 0,
       status: 'waiting', // NEW: Main status field for state machine
       roundStatus: 'waiting', // Keep for backward compatibility
+      scheduledStartAt: config.scheduledStartAt ? Timestamp.fromDate(config.scheduledStartAt) : null,
       createdBy: config.userId,
       createdAt: serverTimestamp()
     });
@@ -119,13 +230,13 @@ export async function createRoom(config) {
     // Create room configuration
     const configRef = doc(db, 'roomConfig', roomId);
     await setDoc(configRef, {
-      rounds: {
-        r1: {
-          paragraph: config.rounds.r1.paragraph.trim(),
-          time: parseInt(config.rounds.r1.time),
-          qualifyCount: parseInt(config.rounds.r1.qualifyCount)
-        }
-      }
+      rounds: rounds,
+      maxIncidents: maxIncidents,
+      proctored: !!config.proctored,
+      scoringProfile: scoringProfile,
+      tieBreakers: normalizeTieBreakers(config.tieBreakers),
+      normalization: normalizeTextOptions(config.normalization),
+      passageMode: passageMode
     });
     
     return {
@@ -201,10 +312,13 @@ export async function joinRoom(roomCode, userId, userName) {
     }
     
     // CRITICAL: Check if round 1 has already started - lock entry
+    // Entry also locks once a scheduled start time has passed, before the start has been processed
     const currentRound = roomData.currentRound || 0;
     const status = roomData.status || roomData.roundStatus || 'waiting';
+    const scheduledStartMs = roomData.scheduledStartAt?.toMillis ? roomData.scheduledStartAt.toMillis() : null;
+    const scheduledStartPassed = scheduledStartMs !== null && scheduledStartMs <= Date.now();
     
-    if (currentRound >= 1 || status !== 'waiting') {
+    if (currentRound >= 1 || status !== 'waiting' || scheduledStartPassed) {
       // Check if user is already a participant in this room
       const existingParticipantRef = doc(db, 'participants', userId);
       const existingParticipantDoc = await getDoc(existingParticipantRef);
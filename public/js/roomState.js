@@ -1,21 +1,32 @@
 /**
- * ROOM STATE MANAGEMENT MODULE - Single Round Version
+ * ROOM STATE MANAGEMENT MODULE - Elimination Tournament
  * 
- * STATE MACHINE:
- * waiting → round1 → round1_result → round1_leaderboard → completed
+ * STATE MACHINE (N rounds, from roomConfig.rounds r1..rN):
+ * waiting → round1_countdown → round1 → round1_result → round1_leaderboard
+ *         → round2_waiting → round2_countdown → round2 → round2_result → round2_leaderboard
+ *         → ... → roundN_leaderboard → completed
+ * The room skips to completed after a round that nobody qualified from.
+ * The countdown gives everyone the same 3-2-1 before typing; the round clock
+ * (roundStartedAt) is the moment it ends, not the moment a browser saw the start.
  * 
  * PARTICIPANT STATUS:
  * - waiting: Initial state
  * - active: Currently in the round
- * - completed: Finished the round
+ * - qualified: Advanced from their last round (winners after the final round)
+ * - eliminated: Out in the round they last played (eliminatedInRound)
+ * - spectating: Eliminated earlier, watching the later rounds
  */
 
-import { db } from './firebase.js';
+import { rankResults, isQualified, normalizeTieBreakers } from './ranking.js';
+import { resolveScoringProfile, applyScoringProfile } from './scoringProfiles.js';
+import { COUNTDOWN_SECONDS, getCountdownEndsAt } from './roundStart.js';
+import { db, functions } from './firebase.js';
+import { httpsCallable } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-functions.js";
 import {
   doc,
   getDoc,
-  updateDoc,
   onSnapshot,
+  runTransaction,
   collection,
   query,
   where,
@@ -26,6 +37,7 @@ import {
 
 // Screen timeouts (in seconds)
 export const TIMEOUTS = {
+  COUNTDOWN: COUNTDOWN_SECONDS,
   RESULT_SCREEN: 20,
   LEADERBOARD_SCREEN: 15
 };
@@ -33,12 +45,46 @@ export const TIMEOUTS = {
 /**
  * Get round number from state
  * @param {string} state - Room status
- * @returns {number} - Round number (0-1)
+ * @returns {number} - Round number (0 when no round is involved)
  */
 export function getRoundFromState(state) {
-  if (!state) return 0;
-  if (state.startsWith('round1')) return 1;
-  return 0;
+  const match = /^round(\d+)/.exec(state || '');
+  return match ? parseInt(match[1]) : 0;
+}
+
+/**
+ * Get a round's configuration
+ * @param {Object} roomConfig - Room configuration document
+ * @param {number} roundNumber - Round number
+ * @returns {Object|null} - Round config ({ paragraph, time, qualifyCount, ... }) or null
+ */
+export function getRoundConfig(roomConfig, roundNumber) {
+  return roomConfig?.rounds?.[`r${roundNumber}`] || null;
+}
+
+/**
+ * Count the configured rounds (r1, r2, ... without gaps)
+ * @param {Object} roomConfig - Room configuration document
+ * @returns {number} - Number of rounds (at least 1)
+ */
+export function getTotalRounds(roomConfig) {
+  let total = 0;
+  while (getRoundConfig(roomConfig, total + 1)) total++;
+  return Math.max(total, 1);
+}
+
+/**
+ * Check whether a participant takes part in a round
+ * Everyone plays round 1; later rounds are for those who played them or qualified from the round before.
+ * @param {Object} participant - Participant document data
+ * @param {number} roundNumber - Round number
+ * @returns {boolean} - True if the participant is (or was) in the round
+ */
+export function isInRound(participant, roundNumber) {
+  if (roundNumber <= 1) return true;
+  const playedRound = participant?.currentRound || 1;
+  return playedRound >= roundNumber ||
+    (playedRound === roundNumber - 1 && participant.status === 'qualified');
 }
 
 /**
@@ -49,15 +95,20 @@ export function getRoundFromState(state) {
 export function getScreenFromState(state) {
   if (!state) return 'waiting';
   if (state === 'waiting' || state.endsWith('_waiting')) return 'waiting';
-  if (state === 'round1') return 'typing';
+  if (/^round\d+$/.test(state)) return 'typing';
+  if (state.endsWith('_countdown')) return 'countdown';
   if (state.endsWith('_result')) return 'result';
   if (state.endsWith('_leaderboard')) return 'leaderboard';
   if (state === 'completed') return 'completed';
   return 'waiting';
 }
 
+export { getCountdownEndsAt };
+
 /**
  * Determine what screen a user should see based on room state
+ * Participants eliminated in an earlier round spectate: they see leaderboards and the end
+ * of the competition, and a spectating screen while the others wait or type.
  * @param {Object} roomData - Room document data
  * @param {Object} participantData - Participant document data
  * @returns {Object} - { screen, roundNumber, canProceed, redirectTo }
@@ -66,33 +117,78 @@ export function determineUserScreen(roomData, participantData) {
   const roomStatus = roomData?.status || 'waiting';
   const roundNumber = getRoundFromState(roomStatus);
   const screenType = getScreenFromState(roomStatus);
+  const canProceed = !participantData || isInRound(participantData, roundNumber);
+  const spectatorScreen = screenType === 'leaderboard' || screenType === 'completed' ? screenType : 'spectating';
   
   return {
-    screen: screenType,
+    screen: canProceed ? screenType : spectatorScreen,
     roundNumber: roundNumber,
-    canProceed: true,
+    canProceed: canProceed,
     redirectTo: null
   };
 }
 
+/**
+ * Move the room on from an expected state
+ * Every participant's browser runs the same screen timeouts, so the room only moves while it
+ * is still in fromState; late or repeated calls leave a newer state alone.
+ * @param {string} roomId - Room ID
+ * @param {string} fromState - State the room must be in
+ * @param {Function} buildUpdate - Receives the room data, returns the fields to write (including status)
+ * @returns {Promise<Object>} - { success, status } with the room's status afterwards
+ */
+async function advanceState(roomId, fromState, buildUpdate) {
+  const roomRef = doc(db, 'rooms', roomId);
+  const status = await runTransaction(db, async (transaction) => {
+    const roomSnap = await transaction.get(roomRef);
+    if (!roomSnap.exists()) throw new Error('Room not found');
+    const room = roomSnap.data();
+    if ((room.status || 'waiting') !== fromState) return room.status;
+    
+    const update = buildUpdate(room);
+    transaction.update(roomRef, { ...update, lastUpdated: serverTimestamp() });
+    return update.status;
+  });
+  return { success: true, status: status };
+}
+
+/**
+ * Transition room from the pre-round countdown to the round itself
+ * Every browser asks when its countdown reaches zero. The finishRoundCountdown function
+ * checks the time on the server and stamps roundStartedAt at the end of the countdown,
+ * so participants never write the round clock themselves.
+ * @param {string} roomId - Room ID
+ * @param {number} roundNumber - Round number
+ */
+export async function transitionToRound(roomId, roundNumber) {
+  try {
+    const finishRoundCountdown = httpsCallable(functions, 'finishRoundCountdown');
+    const response = await finishRoundCountdown({ roomId: roomId });
+    console.log(`[RoomState] Round ${roundNumber} countdown: ${response.data.started ? 'round started' : response.data.reason}`);
+    return { success: true, ...response.data };
+  } catch (error) {
+    console.error('[RoomState] transitionToRound error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Transition room to result state
  * @param {string} roomId - Room ID
  * @param {number} roundNumber - Round number
+ * @param {Object} details - Extra room fields to store with the transition
  */
-export async function transitionToResult(roomId, roundNumber) {
+export async function transitionToResult(roomId, roundNumber, details = {}) {
   try {
-    const roomRef = doc(db, 'rooms', roomId);
     const newState = `round${roundNumber}_result`;
-    
-    await updateDoc(roomRef, {
+    const result = await advanceState(roomId, `round${roundNumber}`, () => ({
+      ...details,
       status: newState,
-      roundEndedAt: serverTimestamp(),
-      lastUpdated: serverTimestamp()
-    });
+      roundEndedAt: serverTimestamp()
+    }));
     
-    console.log(`[RoomState] Transitioned to ${newState}`);
-    return { success: true };
+    console.log(`[RoomState] Room is now ${result.status}`);
+    return result;
   } catch (error) {
     console.error('[RoomState] transitionToResult error:', error);
     return { success: false, error: error.message };
@@ -106,16 +202,11 @@ export async function transitionToResult(roomId, roundNumber) {
  */
 export async function transitionToLeaderboard(roomId, roundNumber) {
   try {
-    const roomRef = doc(db, 'rooms', roomId);
     const newState = `round${roundNumber}_leaderboard`;
+    const result = await advanceState(roomId, `round${roundNumber}_result`, () => ({ status: newState }));
     
-    await updateDoc(roomRef, {
-      status: newState,
-      lastUpdated: serverTimestamp()
-    });
-    
-    console.log(`[RoomState] Transitioned to ${newState}`);
-    return { success: true };
+    console.log(`[RoomState] Room is now ${result.status}`);
+    return result;
   } catch (error) {
     console.error('[RoomState] transitionToLeaderboard error:', error);
     return { success: false, error: error.message };
@@ -123,22 +214,25 @@ export async function transitionToLeaderboard(roomId, roundNumber) {
 }
 
 /**
- * Transition room to next waiting or completed
+ * Transition room to the next round's waiting state, or completed after the final round
+ * The competition also ends when nobody qualified from the round.
  * @param {string} roomId - Room ID
  * @param {number} roundNumber - Current round number
  */
 export async function transitionToNextWaiting(roomId, roundNumber) {
   try {
-    const roomRef = doc(db, 'rooms', roomId);
-    const newState = 'completed';
+    const configSnap = await getDoc(doc(db, 'roomConfig', roomId));
+    const totalRounds = getTotalRounds(configSnap.exists() ? configSnap.data() : null);
     
-    await updateDoc(roomRef, {
-      status: newState,
-      lastUpdated: serverTimestamp()
+    const result = await advanceState(roomId, `round${roundNumber}_leaderboard`, (room) => {
+      const hasNextRound = roundNumber < totalRounds && room.qualifiedCount !== 0;
+      return hasNextRound
+        ? { status: `round${roundNumber + 1}_waiting`, roundStatus: 'waiting' }
+        : { status: 'completed', roundStatus: 'completed' };
     });
     
-    console.log(`[RoomState] Transitioned to ${newState}`);
-    return { success: true };
+    console.log(`[RoomState] Room is now ${result.status}`);
+    return result;
   } catch (error) {
     console.error('[RoomState] transitionToNextWaiting error:', error);
     return { success: false, error: error.message };
@@ -147,9 +241,10 @@ export async function transitionToNextWaiting(roomId, roundNumber) {
 
 /**
  * Calculate results for the round
+ * Only participants in the round are ranked; spectators from earlier rounds keep their status.
  * @param {string} roomId - Room ID
- * @param {number} roundNumber - Round number (always 1)
- * @param {number} qualifyCount - Number of winners
+ * @param {number} roundNumber - Round number
+ * @param {number} qualifyCount - Number who qualify (winners in the final round)
  */
 export async function calculateResults(roomId, roundNumber, qualifyCount) {
   try {
@@ -174,31 +269,15 @@ export async function calculateResults(roomId, roundNumber, qualifyCount) {
       return { success: false, error: 'No results' };
     }
     
-    // CRITICAL: Sort by MonkeyType methodology - Net WPM first, then accuracy, then submission time
-    results.sort((a, b) => {
-      // 1. Higher Net WPM wins (primary ranking metric)
-      const wpmA = a.netWpm || a.wpm || 0;
-      const wpmB = b.netWpm || b.wpm || 0;
-      if (Math.abs(wpmA - wpmB) > 0.01) {
-        return wpmB - wpmA;
-      }
-      
-      // 2. If WPM is same, higher accuracy wins
-      if (Math.abs((a.accuracy || 0) - (b.accuracy || 0)) > 0.01) {
-        return (b.accuracy || 0) - (a.accuracy || 0);
-      }
-      
-      // 3. If both are same, earlier submission wins
-      const timeA = a.submittedAt?.toMillis ? a.submittedAt.toMillis() : 0;
-      const timeB = b.submittedAt?.toMillis ? b.submittedAt.toMillis() : 0;
-      return timeA - timeB; // Earlier time = lower number = wins
-    });
+    // Rank with the room's shared ranking policy so qualification matches the leaderboard
+    const configSnap = await getDoc(doc(db, 'roomConfig', roomId));
+    const tieBreakers = normalizeTieBreakers(configSnap.exists() ? configSnap.data().tieBreakers : null);
+    results = rankResults(results, tieBreakers);
     
-    console.log(`[Results] Results sorted by Net WPM:`);
-    results.forEach((r, i) => {
-      const wpm = r.netWpm || r.wpm || 0;
-      const isQualified = (i + 1) <= qualifyCount;
-      console.log(`  ${i + 1}. ${r.userId}: ${wpm} WPM, ${r.accuracy}% accuracy - ${isQualified ? 'QUALIFIED' : 'ELIMINATED'}`);
+    console.log(`[Results] Results ranked by ${tieBreakers.join(', ')}:`);
+    results.forEach(r => {
+      const qualified = isQualified(r, qualifyCount);
+      console.log(`  ${r.rank}. ${r.userId}: ${r.finalScore} pts, ${r.netWpm || r.wpm || 0} WPM, ${r.accuracy}% accuracy - ${qualified ? 'QUALIFIED' : 'ELIMINATED'}`);
     });
     
     // Update participants with qualification status
@@ -213,17 +292,17 @@ export async function calculateResults(roomId, roundNumber, qualifyCount) {
     
     // Create a map of user results for quick lookup
     const userResultsMap = {};
-    results.forEach((result, index) => {
+    results.forEach(result => {
       userResultsMap[result.userId] = {
-        rank: index + 1,
-        isQualified: (index + 1) <= qualifyCount,
-        ...result
+        ...result,
+        isQualified: isQualified(result, qualifyCount)
       };
     });
     
     participantsSnapshot.forEach(docSnap => {
       const userId = docSnap.id;
       const userResult = userResultsMap[userId];
+      if (!isInRound(docSnap.data(), roundNumber)) return;
       
       if (userResult) {
         // User has a result - update with qualification status
@@ -232,6 +311,7 @@ export async function calculateResults(roomId, roundNumber, qualifyCount) {
           currentRound: roundNumber,
           finalRank: userResult.rank,
           isQualified: userResult.isQualified,
+          eliminatedInRound: userResult.isQualified ? null : roundNumber,
           updatedAt: serverTimestamp()
         });
         
@@ -247,6 +327,7 @@ export async function calculateResults(roomId, roundNumber, qualifyCount) {
           currentRound: roundNumber,
           finalRank: results.length + 1, // Last place
           isQualified: false,
+          eliminatedInRound: roundNumber,
           updatedAt: serverTimestamp()
         });
         eliminatedCount++;
@@ -381,9 +462,9 @@ export function exitGame() {
 
 /**
  * Get round leaderboard - shows the round's participants and scores
- * SORTING: 1. Net WPM (DESC), 2. Accuracy (DESC), 3. Submission Time (ASC - earlier is better)
+ * Ranked with the room's tie-breakers (see ranking.js); entries carry a shared rank field
  * @param {string} roomId - Room ID
- * @param {number} roundNumber - Round number (always 1)
+ * @param {number} roundNumber - Round number
  */
 export async function getRoundLeaderboard(roomId, roundNumber) {
   try {
@@ -400,6 +481,7 @@ export async function getRoundLeaderboard(roomId, roundNumber) {
     const allParticipants = {};
     participantsSnapshot.forEach(docSnap => {
       const data = docSnap.data();
+      if (!isInRound(data, roundNumber)) return;
       allParticipants[docSnap.id] = {
         userId: docSnap.id,
         name: data.name || 'Unknown',
@@ -414,6 +496,10 @@ export async function getRoundLeaderboard(roomId, roundNumber) {
         accuracyPoints: 0,
         speedPoints: 0,
         finalScore: 0,
+        suspicionScore: 0,
+        isSuspicious: false,
+        incidentCount: 0,
+        disqualified: false,
         submittedAt: null
       };
     });
@@ -427,56 +513,31 @@ export async function getRoundLeaderboard(roomId, roundNumber) {
     );
     const snapshot = await getDocs(q);
     
+    const configSnap = await getDoc(doc(db, 'roomConfig', roomId));
+    const roomConfig = configSnap.exists() ? configSnap.data() : {};
+    const scoringProfile = resolveScoringProfile(roomConfig.scoringProfile);
+    
     // Update participants with their actual results
     snapshot.forEach(docSnap => {
       const result = docSnap.data();
       if (allParticipants[result.userId]) {
-        // If accuracyPoints and speedPoints don't exist, calculate them from existing data
-        let accuracyPoints = result.accuracyPoints || 0;
-        let speedPoints = result.speedPoints || 0;
+        // Results stored before scoring profiles have no profile; score them with the room's profile
+        let accuracyPoints = result.accuracyPoints ?? null;
+        let speedPoints = result.speedPoints ?? null;
         let finalScore = result.finalScore || 0;
-        
-        // Recalculate points if they're missing (for backward compatibility)
-        if (accuracyPoints === 0 && speedPoints === 0 && (result.accuracy > 0 || result.wpm > 0)) {
-          const accuracy = result.accuracy || 0;
-          const wpm = result.netWpm || result.wpm || 0;
-          
-          // Calculate tiered accuracy points
-          if (accuracy >= 100) {
-            accuracyPoints = 60;
-          } else if (accuracy >= 95) {
-            accuracyPoints = 55;
-          } else if (accuracy >= 90) {
-            accuracyPoints = 50;
-          } else if (accuracy >= 80) {
-            accuracyPoints = 40;
-          } else if (accuracy >= 70) {
-            accuracyPoints = 30;
-          } else {
-            accuracyPoints = Math.round((accuracy / 70) * 20);
-          }
-          
-          // Calculate tiered speed points
-          if (wpm >= 60) {
-            speedPoints = 40;
-          } else if (wpm >= 50) {
-            speedPoints = 35;
-          } else if (wpm >= 40) {
-            speedPoints = 30;
-          } else if (wpm >= 30) {
-            speedPoints = 25;
-          } else if (wpm >= 20) {
-            speedPoints = 15;
-          } else {
-            speedPoints = Math.round((wpm / 20) * 10);
-          }
-          
-          finalScore = accuracyPoints + speedPoints;
+        if (!result.scoringProfile && !accuracyPoints && !speedPoints && (result.accuracy > 0 || result.wpm > 0)) {
+          const points = applyScoringProfile(scoringProfile, result);
+          accuracyPoints = points.accuracyPoints;
+          speedPoints = points.speedPoints;
+          finalScore = points.finalScore;
         }
         
         allParticipants[result.userId] = {
           ...allParticipants[result.userId],
           ...result,
+          resultId: docSnap.id,
+          suspicionScore: result.suspicion?.score || 0,
+          isSuspicious: result.suspicion?.flagged || false,
           accuracyPoints: accuracyPoints,
           speedPoints: speedPoints,
           finalScore: finalScore,
@@ -485,28 +546,8 @@ export async function getRoundLeaderboard(roomId, roundNumber) {
       }
     });
     
-    // Convert to array and sort by Final Score (highest first), then accuracy, then WPM, then submission time
-    let results = Object.values(allParticipants);
-    
-    results.sort((a, b) => {
-      if (Math.abs((a.finalScore || 0) - (b.finalScore || 0)) > 0.01) {
-        return (b.finalScore || 0) - (a.finalScore || 0);
-      }
-      
-      if (Math.abs((a.accuracy || 0) - (b.accuracy || 0)) > 0.01) {
-        return (b.accuracy || 0) - (a.accuracy || 0);
-      }
-      
-      if (Math.abs((a.wpm || 0) - (b.wpm || 0)) > 0.01) {
-        return (b.wpm || 0) - (a.wpm || 0);
-      }
-      
-      const timeA = a.submittedAt?.toMillis ? a.submittedAt.toMillis() : Number.MAX_SAFE_INTEGER;
-      const timeB = b.submittedAt?.toMillis ? b.submittedAt.toMillis() : Number.MAX_SAFE_INTEGER;
-      return timeA - timeB;
-    });
-    
-    return results;
+    // Rank with the room's shared ranking policy (exact ties share a rank)
+    return rankResults(Object.values(allParticipants), roomConfig.tieBreakers);
   } catch (error) {
     console.error('getRoundLeaderboard error:', error);
     return [];
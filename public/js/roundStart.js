@@ -0,0 +1,137 @@
+/**
+ * Round Start Module
+ *
+ * Decides what starting a round changes, without touching Firestore, so the
+ * admin's Start button (startRound in admin.js) and the scheduled start
+ * (functions/scheduledStart.js) follow the same rules:
+ * - Which room states the round can start from
+ * - Who plays: everyone in round 1, the previous round's qualifiers later; the rest spectate
+ * - In rooms with randomized passages, which passage each player gets
+ *
+ * Callers write the planned updates and add their own timestamps (countdownStartedAt, lastUpdated).
+ * The room goes to the round's countdown; the finishRoundCountdown function (functions/roundCountdown.js)
+ * starts the round clock when it ends.
+ */
+
+import { PASSAGE_MODES, normalizePassageMode, assignPassages } from './passageAssignment.js';
+
+// Most rounds an elimination tournament can have
+export const MAX_ROUNDS = 5;
+
+// Length of the synchronized 3-2-1 shown before every round
+export const COUNTDOWN_SECONDS = 3;
+
+// Scheduled starts must be at least this far ahead when set, and at most this far
+export const SCHEDULE_LIMITS = {
+  MIN_LEAD_MS: 30 * 1000,
+  MAX_LEAD_MS: 30 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Room states a round can start from
+ * @param {number} roundNumber - Round number
+ * @returns {Array<string>} - Room statuses
+ */
+export function getStartableStates(roundNumber) {
+  return roundNumber === 1
+    ? ['waiting']
+    : [`round${roundNumber - 1}_leaderboard`, `round${roundNumber}_waiting`];
+}
+
+/**
+ * Room states in which a round's countdown is running
+ * @returns {Array<string>} - round1_countdown .. roundN_countdown
+ */
+export function getCountdownStates() {
+  return Array.from({ length: MAX_ROUNDS }, (_, index) => `round${index + 1}_countdown`);
+}
+
+/**
+ * Get when a room's pre-round countdown ends
+ * @param {Object} room - Room document data
+ * @returns {number|null} - Milliseconds, or null before the server has stamped countdownStartedAt
+ */
+export function getCountdownEndsAt(room) {
+  const startedAt = room?.countdownStartedAt;
+  if (!startedAt) return null;
+  const startedAtMs = startedAt.toMillis ? startedAt.toMillis() : startedAt;
+  return startedAtMs + COUNTDOWN_SECONDS * 1000;
+}
+
+/**
+ * Check a scheduled start time when it is set
+ * @param {number} startAtMs - Scheduled start in milliseconds
+ * @param {number} nowMs - Current time in milliseconds
+ * @returns {string|null} - Error message, or null when the time is acceptable
+ */
+export function validateScheduledStart(startAtMs, nowMs) {
+  if (typeof startAtMs !== 'number' || !isFinite(startAtMs)) {
+    return 'Invalid start time';
+  }
+  if (startAtMs < nowMs + SCHEDULE_LIMITS.MIN_LEAD_MS) {
+    return 'The start time must be at least 30 seconds from now';
+  }
+  if (startAtMs > nowMs + SCHEDULE_LIMITS.MAX_LEAD_MS) {
+    return 'The start time must be within 30 days';
+  }
+  return null;
+}
+
+/**
+ * Plan the writes that start a round
+ * @param {Object} room - Room document data
+ * @param {Object} roomConfig - Room configuration
+ * @param {Array<Object>} participants - Participants in the room as { id, data }
+ * @param {number} roundNumber - Round number
+ * @param {Function} random - Random number source for passage assignment (Math.random by default)
+ * @returns {Object} - { participantUpdates: [{ id, update }], roomUpdate, configUpdate, activeCount } or { error }
+ *   (configUpdate is null unless the room deals out passages)
+ */
+export function planRoundStart(room, roomConfig, participants, roundNumber, random = Math.random) {
+  const currentStatus = room?.status || 'waiting';
+  if (!getStartableStates(roundNumber).includes(currentStatus)) {
+    return { error: `Cannot start round ${roundNumber} from state: ${currentStatus}` };
+  }
+  const roundConfig = roomConfig?.rounds?.[`r${roundNumber}`];
+  if (!roundConfig) {
+    return { error: `Round ${roundNumber} is not configured` };
+  }
+
+  const participantUpdates = [];
+  const advancing = [];
+  (participants || []).forEach(({ id, data }) => {
+    const advances = roundNumber === 1 ||
+      (data.status === 'qualified' && data.currentRound === roundNumber - 1);
+    if (advances) {
+      advancing.push(id);
+    } else if (data.status !== 'spectating') {
+      participantUpdates.push({ id, update: { status: 'spectating' } });
+    }
+  });
+
+  if (advancing.length === 0) {
+    return { error: 'No participants qualified for this round' };
+  }
+
+  // Randomized rooms: each participant gets their own passage from the round's pool, stored in
+  // roomConfig where participants cannot change what they are scored against
+  const randomized = normalizePassageMode(roomConfig.passageMode) === PASSAGE_MODES.RANDOMIZED;
+  const assignments = randomized ? assignPassages(advancing, roundConfig.passagePool, random) : {};
+  if (randomized && Object.keys(assignments).length === 0) {
+    return { error: `Round ${roundNumber} has no passages to assign` };
+  }
+  advancing.forEach(id => {
+    participantUpdates.push({ id, update: { status: 'active', currentRound: roundNumber } });
+  });
+
+  return {
+    participantUpdates,
+    roomUpdate: {
+      status: `round${roundNumber}_countdown`,
+      currentRound: roundNumber,
+      roundStatus: 'active' // Keep for backward compatibility
+    },
+    configUpdate: randomized ? { [`passageAssignments.r${roundNumber}`]: assignments } : null,
+    activeCount: advancing.length
+  };
+}
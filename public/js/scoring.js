@@ -5,32 +5,334 @@
  * - Raw WPM: All typed characters / 5 / minutes
  * - Net WPM: (Correct characters - Incorrect characters) / 5 / minutes  
  * - Accuracy: Correct characters / Total characters typed × 100
- * - Final Score: Net WPM (primary metric for ranking)
+ * - Final Score: from the room's scoring profile (see scoringProfiles.js)
+ * 
+ * Characters are grapheme clusters (what the user sees as one character),
+ * so accented letters, Devanagari conjuncts and emoji count once.
+ *
+ * Typed text is compared with an alignment (edit distance) by default, so a
+ * skipped or doubled character costs one error instead of shifting everything
+ * after it. The original position-by-position comparison is kept as the
+ * 'positional' legacy mode.
+ *
+ * Both texts go through the room's text normalization (textNormalization.js)
+ * before they are compared.
+ */
+
+import { splitGraphemes } from './graphemes.js';
+import { applyScoringProfile, resolveScoringProfile } from './scoringProfiles.js';
+import { applyTextNormalization } from './textNormalization.js';
+
+export const SCORING_MODES = {
+  ALIGNMENT: 'alignment',
+  POSITIONAL: 'positional'
+};
+
+export const DEFAULT_SCORING_MODE = SCORING_MODES.ALIGNMENT;
+
+export const SCORING_MODE_OPTIONS = [
+  {
+    value: SCORING_MODES.ALIGNMENT,
+    label: 'Alignment (recommended)',
+    hint: 'A skipped, extra or wrong character counts as a single error.'
+  },
+  {
+    value: SCORING_MODES.POSITIONAL,
+    label: 'Positional (legacy)',
+    hint: 'Characters are compared position by position; one skipped character shifts everything after it.'
+  }
+];
+
+/**
+ * Normalize a stored scoring mode, falling back to the default for unknown values
+ * @param {string} mode - Scoring mode
+ * @returns {string} - A value from SCORING_MODES
+ */
+export function normalizeScoringMode(mode) {
+  return Object.values(SCORING_MODES).includes(mode) ? mode : DEFAULT_SCORING_MODE;
+}
+
+// Largest cost table (cells) an alignment builds. Close attempts only need the cells near
+// the diagonal (a band as wide as the number of errors); anything too big for a whole
+// table is split in halves first (Hirschberg's method), so memory stays linear in the text length
+const MAX_TABLE_CELLS = 1 << 22;
+const FIRST_BAND = 32;
+const UNREACHED = 0x3fffffff;
+
+/**
+ * Align typed graphemes against the paragraph with minimum edit distance
+ * The untyped tail of the paragraph is free in the alignment and reported as 'missing',
+ * so stopping early is not mistaken for skipped characters.
+ * @param {Array<string>} original - Paragraph graphemes
+ * @param {Array<string>} typed - Typed graphemes
+ * @returns {Array<Object>} - Operations in order: { op: 'match' | 'substitution' | 'insertion' | 'deletion' | 'missing', expected, typed }
+ */
+export function alignGraphemes(original, typed) {
+  const tableCells = (original.length + 1) * (typed.length + 1);
+  let aligned = null;
+
+  // A band of half-width w gives the exact alignment whenever it costs at most w:
+  // every cell outside the band is more than w edits away from the start.
+  // Typing past the end of the paragraph costs at least the extra length, so start there
+  const bandCells = (band) => (2 * band + 1) * Math.min(original.length + 1, typed.length + 1 + band);
+  for (let band = Math.max(FIRST_BAND, typed.length - original.length);
+    bandCells(band) < tableCells && bandCells(band) <= MAX_TABLE_CELLS; band *= 2) {
+    const attempt = alignWithTable(original, typed, true, band);
+    if (attempt.cost <= band) {
+      aligned = attempt;
+      break;
+    }
+  }
+  if (!aligned && tableCells <= MAX_TABLE_CELLS) {
+    aligned = alignWithTable(original, typed, true);
+  }
+  if (!aligned) {
+    // Where the typed text ends in the paragraph; ties prefer covering more of it
+    const endCosts = lastRowCosts(typed, original);
+    let end = 0;
+    for (let i = 1; i < endCosts.length; i++) {
+      if (endCosts[i] <= endCosts[end]) end = i;
+    }
+    aligned = { ops: [], end };
+    alignInHalves(original.slice(0, end), typed, aligned.ops);
+  }
+
+  const ops = aligned.ops;
+  for (let k = aligned.end; k < original.length; k++) {
+    ops.push({ op: 'missing', expected: original[k], typed: null });
+  }
+  return ops;
+}
+
+/**
+ * Align with a cost table and trace the operations back through it
+ * @param {Array<string>} original - Paragraph graphemes
+ * @param {Array<string>} typed - Typed graphemes
+ * @param {boolean} freeTail - Let the alignment stop anywhere in the paragraph
+ * @param {number} band - Only fill cells at most this far from the diagonal (whole table by default)
+ * @returns {Object} - { ops, end, cost } (end: paragraph graphemes covered, left out of ops after it;
+ *   cost: edits, at least UNREACHED when the band holds no alignment)
+ */
+function alignWithTable(original, typed, freeTail, band = Infinity) {
+  const rows = original.length + 1;
+  const cols = typed.length + 1;
+  const banded = band < Math.max(rows, cols);
+  const width = banded ? 2 * band + 1 : cols;
+  // Row i keeps columns i - band .. i + band when banded, so rows past the typed text's
+  // length plus the band have no cells
+  const filled = banded ? Math.min(rows, cols + band) : rows;
+  const cost = new Uint32Array(filled * width);
+  const at = (i, j) => {
+    const k = banded ? j - i + band : j;
+    return i >= filled || j < 0 || j >= cols || k < 0 || k >= width ? UNREACHED : cost[i * width + k];
+  };
+
+  // Steps back to the cell above-left and above; the band shifts one column per row
+  const diagonalStep = banded ? width : width + 1;
+  const upStep = banded ? width - 1 : width;
+  for (let i = 0; i < filled; i++) {
+    const from = banded ? Math.max(0, i - band) : 0;
+    const to = banded ? Math.min(cols - 1, i + band) : cols - 1;
+    const upTo = banded ? i - 1 + band : cols - 1; // Last column the row above has
+    const rowStart = i * width - (banded ? i - band : 0);
+    const char = original[i - 1];
+    for (let j = from; j <= to; j++) {
+      const index = rowStart + j;
+      if (i === 0 || j === 0) {
+        cost[index] = i + j;
+        continue;
+      }
+      let best = cost[index - diagonalStep] + (char === typed[j - 1] ? 0 : 1);
+      if (j <= upTo && cost[index - upStep] + 1 < best) best = cost[index - upStep] + 1;
+      if (j > from && cost[index - 1] + 1 < best) best = cost[index - 1] + 1;
+      cost[index] = best;
+    }
+  }
+
+  // Where the typed text ends in the paragraph; ties prefer covering more of it
+  let end = original.length;
+  if (freeTail) {
+    end = 0;
+    for (let i = 1; i < filled; i++) {
+      if (at(i, typed.length) <= at(end, typed.length)) {
+        end = i;
+      }
+    }
+  }
+  const total = at(end, typed.length);
+  if (total >= UNREACHED) {
+    return { ops: [], end, cost: total };
+  }
+
+  const ops = [];
+  let i = end;
+  let j = typed.length;
+  while (i > 0 || j > 0) {
+    const current = at(i, j);
+    if (i > 0 && j > 0) {
+      const same = original[i - 1] === typed[j - 1];
+      if (current === at(i - 1, j - 1) + (same ? 0 : 1)) {
+        ops.push({ op: same ? 'match' : 'substitution', expected: original[i - 1], typed: typed[j - 1] });
+        i--;
+        j--;
+        continue;
+      }
+    }
+    if (i > 0 && current === at(i - 1, j) + 1) {
+      ops.push({ op: 'deletion', expected: original[i - 1], typed: null });
+      i--;
+    } else {
+      ops.push({ op: 'insertion', expected: null, typed: typed[j - 1] });
+      j--;
+    }
+  }
+  ops.reverse();
+  return { ops, end, cost: total };
+}
+
+/**
+ * Edit distance from all of a to every prefix of b, keeping one row of the table at a time
+ * @param {Array<string>} a - Graphemes
+ * @param {Array<string>} b - Graphemes
+ * @returns {Uint32Array} - Entry j is the distance between a and the first j graphemes of b
+ */
+function lastRowCosts(a, b) {
+  let previous = new Uint32Array(b.length + 1);
+  let row = new Uint32Array(b.length + 1);
+  for (let j = 0; j <= b.length; j++) previous[j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    const char = a[i - 1];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      let best = previous[j - 1] + (char === b[j - 1] ? 0 : 1);
+      if (previous[j] + 1 < best) best = previous[j] + 1;
+      if (row[j - 1] + 1 < best) best = row[j - 1] + 1;
+      row[j] = best;
+    }
+    [previous, row] = [row, previous];
+  }
+  return previous;
+}
+
+/**
+ * Align two texts end to end, splitting the paragraph in half until each piece fits a table
+ * Each split finds where the typed text crosses the middle of the paragraph from the
+ * distances of the top half forwards and the bottom half backwards.
+ * @param {Array<string>} original - Paragraph graphemes
+ * @param {Array<string>} typed - Typed graphemes
+ * @param {Array<Object>} ops - Operations, appended in order
+ */
+function alignInHalves(original, typed, ops) {
+  if (original.length <= 1 || (original.length + 1) * (typed.length + 1) <= MAX_TABLE_CELLS) {
+    alignWithTable(original, typed, false).ops.forEach(entry => ops.push(entry));
+    return;
+  }
+
+  const middle = original.length >> 1;
+  const top = original.slice(0, middle);
+  const bottom = original.slice(middle);
+  const forward = lastRowCosts(top, typed);
+  const backward = lastRowCosts(bottom.slice().reverse(), typed.slice().reverse());
+  let split = 0;
+  for (let j = 1; j <= typed.length; j++) {
+    if (forward[j] + backward[typed.length - j] < forward[split] + backward[typed.length - split]) {
+      split = j;
+    }
+  }
+
+  alignInHalves(top, typed.slice(0, split), ops);
+  alignInHalves(bottom, typed.slice(split), ops);
+}
+
+/**
+ * Compare graphemes position by position (legacy scoring)
+ * @param {Array<string>} original - Paragraph graphemes
+ * @param {Array<string>} typed - Typed graphemes
+ * @returns {Array<Object>} - Operations in the same shape as alignGraphemes()
+ */
+function comparePositional(original, typed) {
+  const ops = [];
+  const length = Math.max(original.length, typed.length);
+  for (let i = 0; i < length; i++) {
+    if (i >= typed.length) {
+      ops.push({ op: 'missing', expected: original[i], typed: null });
+    } else if (i >= original.length) {
+      ops.push({ op: 'insertion', expected: null, typed: typed[i] });
+    } else {
+      ops.push({ op: original[i] === typed[i] ? 'match' : 'substitution', expected: original[i], typed: typed[i] });
+    }
+  }
+  return ops;
+}
+
+/**
+ * Normalize both texts and classify every typed and expected character
+ * calculateScore() and buildErrorReport() both need this; callers that want both pass
+ * the result to each as options.comparison, so the texts are aligned only once.
+ * @param {string} originalText - The paragraph to type
+ * @param {string} typedText - What the user typed
+ * @param {Object} options - Optional settings
+ * @param {string} options.mode - Scoring mode from SCORING_MODES (default alignment)
+ * @param {Object} options.normalization - Text normalization options (default legacy: exact match)
+ * @returns {Object} - { mode, original, typed, ops } (graphemes after normalization, operations in order)
+ */
+export function compareTexts(originalText, typedText, options = {}) {
+  const mode = normalizeScoringMode(options.mode);
+  // NFC so precomposed and combining-mark forms of the same letter compare equal,
+  // then split into grapheme clusters rather than UTF-16 code units
+  const original = splitGraphemes(applyTextNormalization((typeof originalText === 'string' ? originalText : '').trim(), options.normalization));
+  const typed = splitGraphemes(applyTextNormalization(typeof typedText === 'string' ? typedText : '', options.normalization));
+  const ops = mode === SCORING_MODES.POSITIONAL ? comparePositional(original, typed) : alignGraphemes(original, typed);
+  return { mode, original, typed, ops };
+}
+
+/**
+ * Build the score object for input that cannot be scored
+ * @param {string} mode - Scoring mode
+ * @param {string|Object} profile - Scoring profile ID or definition
+ * @returns {Object} - Zeroed score
  */
+function emptyScore(mode, profile) {
+  return {
+    correctChars: 0,
+    incorrectChars: 0,
+    substitutions: 0,
+    insertions: 0,
+    deletions: 0,
+    missingChars: 0,
+    totalCharsTyped: 0,
+    totalCharsExpected: 0,
+    accuracy: 0,
+    rawWpm: 0,
+    netWpm: 0,
+    wpm: 0, // Net WPM (for compatibility)
+    accuracyPoints: 0,
+    speedPoints: 0,
+    finalScore: 0,
+    scoringMode: mode,
+    scoringProfile: resolveScoringProfile(profile).id
+  };
+}
 
 /**
  * Calculate typing metrics using MonkeyType methodology
  * @param {string} originalText - The paragraph to type
  * @param {string} typedText - What the user typed
  * @param {number} timeInSeconds - Time taken in seconds
- * @returns {Object} - Object containing accuracy, wpm, and finalScore
+ * @param {Object} options - Optional settings
+ * @param {string} options.mode - Scoring mode from SCORING_MODES (default alignment)
+ * @param {string|Object} options.profile - Scoring profile ID or definition (default standard tiers)
+ * @param {Object} options.normalization - Text normalization options (default legacy: exact match)
+ * @param {Object} options.comparison - compareTexts() result for these texts, to skip aligning them again
+ * @returns {Object} - Object containing accuracy, wpm, finalScore and the
+ *   substitutions / insertions / deletions / missingChars error counts
  */
-export function calculateScore(originalText, typedText, timeInSeconds) {
+export function calculateScore(originalText, typedText, timeInSeconds, options = {}) {
+  const mode = normalizeScoringMode(options.mode);
+  
   // Validate inputs
   if (!originalText || typeof originalText !== 'string') {
-    return {
-      correctChars: 0,
-      incorrectChars: 0,
-      totalCharsTyped: 0,
-      totalCharsExpected: 0,
-      accuracy: 0,
-      rawWpm: 0,
-      netWpm: 0,
-      wpm: 0, // Net WPM (for compatibility)
-      accuracyPoints: 0,
-      speedPoints: 0,
-      finalScore: 0
-    };
+    return emptyScore(mode, options.profile);
   }
   
   if (typeof typedText !== 'string') {
@@ -41,56 +343,28 @@ export function calculateScore(originalText, typedText, timeInSeconds) {
     timeInSeconds = 1; // Default to 1 second to avoid division by zero
   }
   
-  // Normalize the original text (preserve exact spacing and punctuation)
-  const original = originalText.trim();
-  const typed = typedText;
+  // Normalize both texts with the room's options (exact spacing and punctuation by default)
+  // and classify every character as a match or an error
+  const { original, typed, ops } = options.comparison || compareTexts(originalText, typedText, { mode, normalization: options.normalization });
   
   // Handle empty original text
   if (original.length === 0) {
-    return {
-      correctChars: 0,
-      incorrectChars: 0,
-      totalCharsTyped: 0,
-      totalCharsExpected: 0,
-      accuracy: 0,
-      rawWpm: 0,
-      netWpm: 0,
-      wpm: 0,
-      accuracyPoints: 0,
-      speedPoints: 0,
-      finalScore: 0
-    };
-  }
-  
-  // Character-by-character comparison (MonkeyType style)
-  let correctChars = 0;
-  let incorrectChars = 0;
-  const totalCharsTyped = typed.length;
-  const totalCharsExpected = original.length;
-  
-  // Compare each character position
-  const minLength = Math.min(original.length, typed.length);
-  
-  for (let i = 0; i < minLength; i++) {
-    if (original[i] === typed[i]) {
-      correctChars++;
-    } else {
-      incorrectChars++;
-    }
+    return emptyScore(mode, options.profile);
   }
   
-  // Handle extra characters typed (all count as incorrect)
-  if (typed.length > original.length) {
-    incorrectChars += (typed.length - original.length);
-  }
+  const counts = { match: 0, substitution: 0, insertion: 0, deletion: 0, missing: 0 };
+  ops.forEach(entry => { counts[entry.op]++; });
   
-  // Handle missing characters (count as incorrect for accuracy calculation)
-  if (original.length > typed.length) {
-    incorrectChars += (original.length - typed.length);
-  }
+  const correctChars = counts.match;
+  // Extra, skipped and untyped characters all count as incorrect (MonkeyType style)
+  const incorrectChars = counts.substitution + counts.insertion + counts.deletion + counts.missing;
+  const totalCharsTyped = typed.length;
+  const totalCharsExpected = original.length;
   
-  // Calculate accuracy: correct chars / total chars that should have been typed
-  const accuracy = totalCharsExpected > 0 ? (correctChars / totalCharsExpected) * 100 : 0;
+  // Calculate accuracy: correct chars / chars that should have been typed plus extra ones,
+  // so padding the text with junk lowers accuracy instead of raising the typing speed for free
+  const accuracyBase = totalCharsExpected + counts.insertion;
+  const accuracy = accuracyBase > 0 ? (correctChars / accuracyBase) * 100 : 0;
   
   // Calculate WPM using MonkeyType methodology
   const timeInMinutes = timeInSeconds / 60;
@@ -105,59 +379,159 @@ export function calculateScore(originalText, typedText, timeInSeconds) {
   // FIXED: Use Raw WPM with minimum floor to prevent WPM = 0 when user typed anything
   const wpm = totalCharsTyped > 0 ? Math.max(1, rawWpm) : 0;
   
-  // Calculate tiered point system: 60% accuracy + 40% speed = 100 total points
-  
-  // Accuracy Points (60 max) - Tiered system
-  let accuracyPoints = 0;
-  if (accuracy >= 100) {
-    accuracyPoints = 60;
-  } else if (accuracy >= 95) {
-    accuracyPoints = 55;
-  } else if (accuracy >= 90) {
-    accuracyPoints = 50;
-  } else if (accuracy >= 80) {
-    accuracyPoints = 40;
-  } else if (accuracy >= 70) {
-    accuracyPoints = 30;
-  } else {
-    // Below 70% - scale from 0 to 20 points
-    accuracyPoints = Math.round((accuracy / 70) * 20);
-  }
-  
-  // Speed Points (40 max) - Tiered WPM system
-  // FIXED: Use the new wpm (Raw WPM) instead of netWpm for speed points
-  let speedPoints = 0;
-  if (wpm >= 60) {
-    speedPoints = 40;
-  } else if (wpm >= 50) {
-    speedPoints = 35;
-  } else if (wpm >= 40) {
-    speedPoints = 30;
-  } else if (wpm >= 30) {
-    speedPoints = 25;
-  } else if (wpm >= 20) {
-    speedPoints = 15;
-  } else {
-    // Below 20 WPM - scale from 0 to 10 points
-    speedPoints = Math.round((wpm / 20) * 10);
-  }
-  
-  const finalScore = accuracyPoints + speedPoints;
-  
   // Ensure all values are valid numbers
-  return {
+  const metrics = {
     correctChars: Math.max(0, correctChars),
     incorrectChars: Math.max(0, incorrectChars),
-    totalCharsTyped: Math.max(0, totalCharsTyped),
-    totalCharsExpected: Math.max(0, totalCharsExpected),
     accuracy: Math.max(0, Math.min(100, Math.round(accuracy * 100) / 100)),
     rawWpm: Math.max(0, Math.round(rawWpm * 100) / 100),
     netWpm: Math.max(0, Math.round(netWpm * 100) / 100),
     wpm: Math.max(0, Math.round(wpm * 100) / 100), // FIXED: Use Raw WPM (never 0 if typed)
-    accuracyPoints: Math.max(0, accuracyPoints),
-    speedPoints: Math.max(0, speedPoints),
-    finalScore: Math.max(0, finalScore)
+    timeInSeconds: timeInSeconds
   };
+  
+  // Points come from the room's scoring profile (standard 60/40 tiers by default)
+  const points = applyScoringProfile(options.profile, metrics);
+  
+  return {
+    correctChars: metrics.correctChars,
+    incorrectChars: metrics.incorrectChars,
+    substitutions: counts.substitution,
+    insertions: counts.insertion,
+    deletions: counts.deletion,
+    missingChars: counts.missing,
+    totalCharsTyped: Math.max(0, totalCharsTyped),
+    totalCharsExpected: Math.max(0, totalCharsExpected),
+    accuracy: metrics.accuracy,
+    rawWpm: metrics.rawWpm,
+    netWpm: metrics.netWpm,
+    wpm: metrics.wpm,
+    accuracyPoints: points.accuracyPoints,
+    speedPoints: points.speedPoints,
+    finalScore: points.finalScore,
+    scoringMode: mode,
+    scoringProfile: points.profile
+  };
+}
+
+// How many of the most-missed words an error report keeps
+export const MISSED_WORDS_LIMIT = 10;
+
+/**
+ * Build a detailed error report for a submission
+ * Uses the same comparison as calculateScore(), so the report always agrees with the score.
+ * - words: word-by-word diff { w: expected word, t: what was typed for it, s: 'correct' | 'error' | 'missing' }
+ * - missedWords: most frequently mistyped words { word, count }
+ * - keyErrors: keys involved in errors { key, count }, most frequent first
+ *   (the expected key for wrong or skipped characters, the typed key for extra ones)
+ * @param {string} originalText - The paragraph to type
+ * @param {string} typedText - What the user typed
+ * @param {Object} options - Optional settings
+ * @param {string} options.mode - Scoring mode from SCORING_MODES (default alignment)
+ * @param {Object} options.normalization - Text normalization options (default legacy: exact match)
+ * @param {Object} options.comparison - compareTexts() result for these texts, to skip aligning them again
+ * @returns {Object} - { words, missedWords, keyErrors }
+ */
+export function buildErrorReport(originalText, typedText, options = {}) {
+  const { ops } = options.comparison || compareTexts(originalText, typedText, options);
+  
+  const words = [];
+  const keyCounts = {};
+  const countKey = (key) => {
+    if (!key) return;
+    const name = key === '\n' ? 'Enter' : key.toLowerCase();
+    keyCounts[name] = (keyCounts[name] || 0) + 1;
+  };
+  
+  let current = null;
+  let inWord = false;
+  // Extra characters typed between words belong to the word that follows
+  let pending = { typed: '', errors: 0 };
+  
+  ops.forEach(entry => {
+    if (entry.op === 'insertion') {
+      countKey(entry.typed);
+      if (inWord) {
+        current.typed += entry.typed;
+        current.errors++;
+      } else {
+        pending.typed += entry.typed;
+        pending.errors++;
+      }
+      return;
+    }
+    
+    if (/\s/.test(entry.expected)) {
+      // Whitespace between words: mistakes here count against the word before
+      inWord = false;
+      if (entry.op === 'substitution' || entry.op === 'deletion') {
+        countKey(entry.expected);
+        if (current) {
+          current.errors++;
+          if (entry.typed) current.typed += entry.typed;
+        }
+      }
+      return;
+    }
+    
+    if (!inWord) {
+      current = { expected: '', typed: pending.typed, errors: pending.errors, missing: 0 };
+      pending = { typed: '', errors: 0 };
+      words.push(current);
+      inWord = true;
+    }
+    current.expected += entry.expected;
+    if (entry.typed) current.typed += entry.typed;
+    if (entry.op === 'missing') {
+      current.missing++;
+    } else if (entry.op !== 'match') {
+      current.errors++;
+      countKey(entry.expected);
+    }
+  });
+  
+  // Extra characters after the last word
+  if (current && pending.typed) {
+    current.typed += pending.typed;
+    current.errors += pending.errors;
+  }
+  
+  const missedCounts = {};
+  const diff = words.map(word => {
+    const status = word.errors > 0 ? 'error' : (word.missing > 0 ? 'missing' : 'correct');
+    if (status === 'error') {
+      const key = word.expected.toLowerCase().replace(/[^\p{L}\p{N}\p{M}]+/gu, '') || word.expected;
+      missedCounts[key] = (missedCounts[key] || 0) + 1;
+    }
+    return { w: word.expected, t: word.typed, s: status };
+  });
+  
+  const missedWords = Object.entries(missedCounts)
+    .map(([word, count]) => ({ word, count }))
+    .sort((a, b) => b.count - a.count || a.word.localeCompare(b.word))
+    .slice(0, MISSED_WORDS_LIMIT);
+  const keyErrors = Object.entries(keyCounts)
+    .map(([key, count]) => ({ key, count }))
+    .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+  
+  return { words: diff, missedWords, keyErrors };
+}
+
+/**
+ * Compare two results by completion: finishing the paragraph beats not finishing,
+ * and among finishers the shorter time wins
+ * @param {Object} a - Result ({ completed, timeInSeconds })
+ * @param {Object} b - Result ({ completed, timeInSeconds })
+ * @returns {number} - Negative if a ranks first, positive if b ranks first, 0 if tied
+ */
+export function compareCompletion(a, b) {
+  if (!!a.completed !== !!b.completed) {
+    return a.completed ? -1 : 1;
+  }
+  if (a.completed && Math.abs((a.timeInSeconds || 0) - (b.timeInSeconds || 0)) > 0.01) {
+    return (a.timeInSeconds || 0) - (b.timeInSeconds || 0);
+  }
+  return 0;
 }
 
 /**
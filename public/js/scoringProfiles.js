@@ -0,0 +1,318 @@
+/**
+ * Scoring Profiles Module
+ *
+ * Single registry of the ways a room can turn typing metrics into a final score:
+ * - tiers: accuracy and speed tier tables (the classic 60/40 scheme)
+ * - weighted: linear accuracy and speed weights
+ * - net-wpm: the final score is net WPM
+ * - accuracy: the final score is accuracy
+ * - formula: an admin-defined expression over the metrics
+ *
+ * Rooms store the resolved profile definition on roomConfig.scoringProfile, so
+ * results stay reproducible if a preset here changes later. Submission,
+ * leaderboards and exports all score through applyScoringProfile().
+ */
+
+export const SCORING_PROFILE_TYPES = {
+  TIERS: 'tiers',
+  WEIGHTED: 'weighted',
+  NET_WPM: 'net-wpm',
+  ACCURACY: 'accuracy',
+  FORMULA: 'formula'
+};
+
+// Variables available to custom formulas
+export const FORMULA_VARIABLES = ['accuracy', 'wpm', 'netWpm', 'rawWpm', 'correctChars', 'incorrectChars', 'timeInSeconds'];
+
+// Functions available to custom formulas
+const FORMULA_FUNCTIONS = {
+  min: Math.min,
+  max: Math.max,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  abs: Math.abs
+};
+
+// Named presets selectable per room
+export const SCORING_PROFILES = {
+  standard: {
+    id: 'standard',
+    label: 'Standard tiers (60% accuracy / 40% speed)',
+    hint: 'Up to 60 points for accuracy tiers and 40 points for speed tiers.',
+    type: SCORING_PROFILE_TYPES.TIERS,
+    // Tiers are checked top-down; below the lowest tier points scale linearly from 0 to belowMax
+    accuracyTiers: [
+      { min: 100, points: 60 },
+      { min: 95, points: 55 },
+      { min: 90, points: 50 },
+      { min: 80, points: 40 },
+      { min: 70, points: 30 }
+    ],
+    accuracyBelowMax: 20,
+    speedTiers: [
+      { min: 60, points: 40 },
+      { min: 50, points: 35 },
+      { min: 40, points: 30 },
+      { min: 30, points: 25 },
+      { min: 20, points: 15 }
+    ],
+    speedBelowMax: 10
+  },
+  weighted: {
+    id: 'weighted',
+    label: 'Weighted (smooth 60/40)',
+    hint: 'Accuracy × 0.6 plus speed (capped at 100 WPM) scaled to 40 points, with no tier jumps.',
+    type: SCORING_PROFILE_TYPES.WEIGHTED,
+    accuracyWeight: 60,
+    speedWeight: 40,
+    wpmCap: 100
+  },
+  'net-wpm': {
+    id: 'net-wpm',
+    label: 'Net WPM',
+    hint: 'The score is net WPM: errors reduce speed directly.',
+    type: SCORING_PROFILE_TYPES.NET_WPM
+  },
+  accuracy: {
+    id: 'accuracy',
+    label: 'Accuracy only',
+    hint: 'The score is accuracy; speed only breaks ties.',
+    type: SCORING_PROFILE_TYPES.ACCURACY
+  },
+  custom: {
+    id: 'custom',
+    label: 'Custom formula',
+    hint: `Write an expression using ${FORMULA_VARIABLES.join(', ')} and min, max, round, floor, ceil, abs.`,
+    type: SCORING_PROFILE_TYPES.FORMULA,
+    formula: 'accuracy * 0.5 + netWpm * 0.5'
+  }
+};
+
+export const DEFAULT_SCORING_PROFILE = 'standard';
+
+// Options for the room setup form
+export const SCORING_PROFILE_OPTIONS = Object.values(SCORING_PROFILES).map(profile => ({
+  value: profile.id,
+  label: profile.label,
+  hint: profile.hint
+}));
+
+/**
+ * Split a formula into tokens
+ * @param {string} formula - Formula text
+ * @returns {Array<Object>} - Tokens { type: 'number' | 'name' | 'op', value }
+ */
+function tokenizeFormula(formula) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_]*)|([-+*/(),]))/y;
+  let index = 0;
+  const text = String(formula || '').trim();
+  while (index < text.length) {
+    pattern.lastIndex = index;
+    const match = pattern.exec(text);
+    if (!match) {
+      throw new Error(`Unexpected character "${text[index]}"`);
+    }
+    if (match[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2] });
+    else tokens.push({ type: 'op', value: match[3] });
+    index = pattern.lastIndex;
+    while (index < text.length && /\s/.test(text[index])) index++;
+  }
+  return tokens;
+}
+
+/**
+ * Evaluate a formula against metrics without eval (+ - * / parentheses, variables, functions)
+ * @param {string} formula - Formula text
+ * @param {Object} variables - Variable values
+ * @returns {number} - Result
+ */
+function evaluateFormula(formula, variables) {
+  const tokens = tokenizeFormula(formula);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const expect = (value) => {
+    const token = tokens[position];
+    if (!token || token.value !== value) {
+      throw new Error(`Expected "${value}"`);
+    }
+    position++;
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[position++];
+    if (!token) throw new Error('Formula ends unexpectedly');
+    if (token.type === 'number') return token.value;
+    if (token.type === 'op' && token.value === '(') {
+      const value = parseExpression();
+      expect(')');
+      return value;
+    }
+    if (token.type === 'op' && (token.value === '-' || token.value === '+')) {
+      const value = parsePrimary();
+      return token.value === '-' ? -value : value;
+    }
+    if (token.type === 'name') {
+      if (peek()?.value === '(') {
+        const fn = FORMULA_FUNCTIONS[token.value];
+        if (!fn) throw new Error(`Unknown function "${token.value}"`);
+        position++;
+        const args = [parseExpression()];
+        while (peek()?.value === ',') {
+          position++;
+          args.push(parseExpression());
+        }
+        expect(')');
+        return fn(...args);
+      }
+      if (!FORMULA_VARIABLES.includes(token.value)) {
+        throw new Error(`Unknown variable "${token.value}"`);
+      }
+      return Number(variables[token.value]) || 0;
+    }
+    throw new Error(`Unexpected "${token.value}"`);
+  };
+
+  const parseTerm = () => {
+    let value = parsePrimary();
+    while (peek()?.value === '*' || peek()?.value === '/') {
+      const op = tokens[position++].value;
+      const right = parsePrimary();
+      value = op === '*' ? value * right : (right === 0 ? 0 : value / right);
+    }
+    return value;
+  };
+
+  const parseExpression = () => {
+    let value = parseTerm();
+    while (peek()?.value === '+' || peek()?.value === '-') {
+      const op = tokens[position++].value;
+      const right = parseTerm();
+      value = op === '+' ? value + right : value - right;
+    }
+    return value;
+  };
+
+  if (tokens.length === 0) throw new Error('Formula is empty');
+  const result = parseExpression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position].value}"`);
+  }
+  return result;
+}
+
+/**
+ * Check that a custom formula parses and uses only known variables and functions
+ * @param {string} formula - Formula text
+ * @returns {Object} - { valid, error }
+ */
+export function validateFormula(formula) {
+  try {
+    const sample = {};
+    FORMULA_VARIABLES.forEach(name => { sample[name] = 1; });
+    const value = evaluateFormula(formula, sample);
+    if (!isFinite(value)) {
+      return { valid: false, error: 'Formula does not produce a number' };
+    }
+    return { valid: true, error: null };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+}
+
+/**
+ * Resolve a stored or selected profile into a full definition
+ * Accepts a preset ID, a stored definition ({ id, type, ... }) or nothing (default preset).
+ * @param {string|Object} profile - Profile ID or definition
+ * @returns {Object} - Profile definition
+ */
+export function resolveScoringProfile(profile) {
+  if (profile && typeof profile === 'object' && Object.values(SCORING_PROFILE_TYPES).includes(profile.type)) {
+    return profile;
+  }
+  const id = typeof profile === 'string' ? profile : profile?.id;
+  return SCORING_PROFILES[id] || SCORING_PROFILES[DEFAULT_SCORING_PROFILE];
+}
+
+/**
+ * Look up points for a value in a tier table
+ * @param {number} value - Metric value
+ * @param {Array<Object>} tiers - { min, points } entries, highest first
+ * @param {number} belowMax - Points reached just under the lowest tier
+ * @returns {number} - Points
+ */
+function tierPoints(value, tiers, belowMax) {
+  for (const tier of tiers) {
+    if (value >= tier.min) return tier.points;
+  }
+  const lowest = tiers.length > 0 ? tiers[tiers.length - 1].min : 0;
+  return lowest > 0 ? Math.round((Math.max(0, value) / lowest) * belowMax) : 0;
+}
+
+/**
+ * Score metrics with a profile
+ * Profiles without an accuracy/speed split return null points.
+ * @param {string|Object} profile - Profile ID or definition
+ * @param {Object} metrics - { accuracy, wpm, netWpm, rawWpm, correctChars, incorrectChars, timeInSeconds }
+ * @returns {Object} - { accuracyPoints, speedPoints, finalScore, profile: profile ID }
+ */
+export function applyScoringProfile(profile, metrics) {
+  const resolved = resolveScoringProfile(profile);
+  const accuracy = metrics.accuracy || 0;
+  const wpm = metrics.wpm || 0;
+  let accuracyPoints = null;
+  let speedPoints = null;
+  let finalScore = 0;
+
+  switch (resolved.type) {
+    case SCORING_PROFILE_TYPES.TIERS:
+      accuracyPoints = tierPoints(accuracy, resolved.accuracyTiers || [], resolved.accuracyBelowMax || 0);
+      speedPoints = tierPoints(wpm, resolved.speedTiers || [], resolved.speedBelowMax || 0);
+      finalScore = accuracyPoints + speedPoints;
+      break;
+    case SCORING_PROFILE_TYPES.WEIGHTED: {
+      const cap = resolved.wpmCap > 0 ? resolved.wpmCap : 100;
+      accuracyPoints = Math.round((accuracy / 100) * (resolved.accuracyWeight || 0) * 100) / 100;
+      speedPoints = Math.round((Math.min(wpm, cap) / cap) * (resolved.speedWeight || 0) * 100) / 100;
+      finalScore = accuracyPoints + speedPoints;
+      break;
+    }
+    case SCORING_PROFILE_TYPES.NET_WPM:
+      finalScore = metrics.netWpm || 0;
+      break;
+    case SCORING_PROFILE_TYPES.ACCURACY:
+      finalScore = accuracy;
+      break;
+    case SCORING_PROFILE_TYPES.FORMULA:
+      try {
+        finalScore = evaluateFormula(resolved.formula, metrics);
+      } catch (error) {
+        console.error('[Scoring] Formula error:', error);
+        finalScore = 0;
+      }
+      break;
+    default:
+      break;
+  }
+
+  if (!isFinite(finalScore)) finalScore = 0;
+  return {
+    accuracyPoints: accuracyPoints === null ? null : Math.max(0, accuracyPoints),
+    speedPoints: speedPoints === null ? null : Math.max(0, speedPoints),
+    finalScore: Math.max(0, Math.round(finalScore * 100) / 100),
+    profile: resolved.id
+  };
+}
+
+/**
+ * Check whether a profile splits its score into accuracy and speed points
+ * @param {string|Object} profile - Profile ID or definition
+ * @returns {boolean} - True for tiers and weighted profiles
+ */
+export function hasPointsBreakdown(profile) {
+  const type = resolveScoringProfile(profile).type;
+  return type === SCORING_PROFILE_TYPES.TIERS || type === SCORING_PROFILE_TYPES.WEIGHTED;
+}
@@ -0,0 +1,141 @@
+/**
+ * Speed Chart View Module
+ *
+ * Renders the speed metrics produced by computeSpeedMetrics() in speedMetrics.js:
+ * - Burst WPM, consistency and time to first keystroke
+ * - A WPM-over-time line chart (cumulative WPM and raw WPM per second)
+ *
+ * Pages provide the CSS for the .speed-chart classes.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Chart drawing area in SVG units; the SVG scales to its container's width
+const CHART = { WIDTH: 600, HEIGHT: 200, PAD_LEFT: 36, PAD_RIGHT: 8, PAD_TOP: 10, PAD_BOTTOM: 24 };
+
+/**
+ * Create an element with a class and optional text
+ * @param {string} tag - Tag name
+ * @param {string} className - Class name
+ * @param {string} text - Text content
+ * @returns {HTMLElement} - The element
+ */
+function createElement(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+/**
+ * Create an SVG element with attributes
+ * @param {string} tag - SVG tag name
+ * @param {Object} attributes - Attribute values
+ * @returns {SVGElement} - The element
+ */
+function createSvgElement(tag, attributes) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attributes).forEach(([name, value]) => el.setAttribute(name, value));
+  return el;
+}
+
+/**
+ * Round the chart's top WPM up to a readable gridline value
+ * @param {number} value - Highest plotted WPM
+ * @returns {number} - Axis maximum
+ */
+function niceMax(value) {
+  const step = value > 100 ? 50 : 20;
+  return Math.max(step, Math.ceil(value / step) * step);
+}
+
+/**
+ * Render the summary figures
+ * @param {Object} speed - Speed metrics
+ * @returns {HTMLElement} - Summary element
+ */
+function renderSummary(speed) {
+  const summary = createElement('div', 'speed-chart-summary');
+  const figures = [
+    ['Burst WPM', Math.round(speed.burstWpm || 0)],
+    ['Consistency', speed.consistency === null || speed.consistency === undefined ? '–' : `${Math.round(speed.consistency)}%`],
+    ['First Key', speed.timeToFirstKeystroke === null || speed.timeToFirstKeystroke === undefined ? '–' : `${speed.timeToFirstKeystroke.toFixed(1)}s`]
+  ];
+  figures.forEach(([label, value]) => {
+    const figure = createElement('div', 'speed-chart-figure');
+    figure.appendChild(createElement('span', 'speed-chart-figure-value', String(value)));
+    figure.appendChild(createElement('span', 'speed-chart-figure-label', label));
+    summary.appendChild(figure);
+  });
+  return summary;
+}
+
+/**
+ * Render the WPM-over-time chart
+ * @param {Array<Object>} samples - Samples { s, wpm, raw }
+ * @returns {SVGElement} - Chart element
+ */
+function renderLineChart(samples) {
+  const plotWidth = CHART.WIDTH - CHART.PAD_LEFT - CHART.PAD_RIGHT;
+  const plotHeight = CHART.HEIGHT - CHART.PAD_TOP - CHART.PAD_BOTTOM;
+  const maxWpm = niceMax(Math.max(...samples.map(sample => Math.max(sample.wpm, sample.raw))));
+  const lastSecond = samples[samples.length - 1].s;
+  const x = (s) => CHART.PAD_LEFT + (lastSecond > 1 ? ((s - 1) / (lastSecond - 1)) * plotWidth : plotWidth / 2);
+  const y = (wpm) => CHART.PAD_TOP + plotHeight - (Math.min(wpm, maxWpm) / maxWpm) * plotHeight;
+
+  const svg = createSvgElement('svg', {
+    class: 'speed-chart-svg',
+    viewBox: `0 0 ${CHART.WIDTH} ${CHART.HEIGHT}`,
+    preserveAspectRatio: 'none',
+    role: 'img',
+    'aria-label': 'WPM over time'
+  });
+
+  // Gridlines with WPM labels
+  for (let i = 0; i <= 4; i++) {
+    const value = (maxWpm / 4) * i;
+    svg.appendChild(createSvgElement('line', {
+      class: 'speed-chart-grid', x1: CHART.PAD_LEFT, x2: CHART.WIDTH - CHART.PAD_RIGHT, y1: y(value), y2: y(value)
+    }));
+    const label = createSvgElement('text', { class: 'speed-chart-axis', x: CHART.PAD_LEFT - 6, y: y(value) + 4, 'text-anchor': 'end' });
+    label.textContent = Math.round(value);
+    svg.appendChild(label);
+  }
+
+  // Time labels at the start, middle and end
+  [1, Math.ceil(lastSecond / 2), lastSecond].filter((s, i, all) => all.indexOf(s) === i).forEach(s => {
+    const label = createSvgElement('text', { class: 'speed-chart-axis', x: x(s), y: CHART.HEIGHT - 6, 'text-anchor': 'middle' });
+    label.textContent = `${s}s`;
+    svg.appendChild(label);
+  });
+
+  const linePoints = (key) => samples.map(sample => `${x(sample.s).toFixed(1)},${y(sample[key]).toFixed(1)}`).join(' ');
+  svg.appendChild(createSvgElement('polyline', { class: 'speed-chart-raw', points: linePoints('raw'), fill: 'none' }));
+  svg.appendChild(createSvgElement('polyline', { class: 'speed-chart-wpm', points: linePoints('wpm'), fill: 'none' }));
+  return svg;
+}
+
+/**
+ * Render speed metrics into a container, hiding the container when there is nothing to show
+ * @param {HTMLElement} container - Element to render into
+ * @param {Object} speed - Metrics from computeSpeedMetrics() ({ samples, burstWpm, consistency, timeToFirstKeystroke })
+ */
+export function renderSpeedChart(container, speed) {
+  if (!container) return;
+  container.innerHTML = '';
+  if (!speed || !Array.isArray(speed.samples) || speed.samples.length === 0) {
+    container.style.display = 'none';
+    return;
+  }
+
+  container.appendChild(createElement('h3', 'speed-chart-title', 'Speed Over Time'));
+  container.appendChild(renderSummary(speed));
+  container.appendChild(renderLineChart(speed.samples));
+
+  const legend = createElement('div', 'speed-chart-legend');
+  legend.appendChild(createElement('span', 'speed-chart-key speed-chart-key-wpm', 'WPM'));
+  legend.appendChild(createElement('span', 'speed-chart-key speed-chart-key-raw', 'Raw WPM per second'));
+  container.appendChild(legend);
+
+  container.style.display = 'block';
+}
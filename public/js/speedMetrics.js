@@ -0,0 +1,144 @@
+/**
+ * Speed Metrics Module
+ *
+ * Derives how speed developed during a round from the keystroke log:
+ * - WPM sampled once per second (cumulative net WPM and raw WPM within that second)
+ * - Burst WPM: the fastest stretch of BURST_WINDOW_MS
+ * - Consistency: how even the rhythm between keys was
+ * - Time to first keystroke after the round started
+ *
+ * Coaches use these to tell steady typists from sprinters; they do not affect scoring.
+ */
+
+export const SPEED_METRICS = {
+  SAMPLE_INTERVAL_MS: 1000,   // One chart sample per second
+  BURST_WINDOW_MS: 3000,      // Window used for burst WPM
+  PAUSE_CUTOFF_MS: 2000,      // Longer gaps are thinking pauses, not typing rhythm
+  MIN_INTERVALS: 5,           // Intervals needed before consistency is reported
+  CHARS_PER_WORD: 5
+};
+
+/**
+ * Convert a character count over a duration to WPM
+ * @param {number} chars - Characters
+ * @param {number} ms - Duration in milliseconds
+ * @returns {number} - WPM rounded to one decimal
+ */
+function toWpm(chars, ms) {
+  if (ms <= 0) return 0;
+  const wpm = (chars / SPEED_METRICS.CHARS_PER_WORD) / (ms / 60000);
+  return Math.round(wpm * 10) / 10;
+}
+
+/**
+ * Check whether a keystroke produced a character
+ * @param {Object} entry - Keystroke log entry
+ * @returns {boolean} - True for characters and line breaks
+ */
+function isTypedKey(entry) {
+  return entry.kind === 'char' || entry.kind === 'enter';
+}
+
+/**
+ * Sample WPM once per second
+ * wpm is cumulative net WPM (buffer length so far), raw counts the keys pressed within that second.
+ * @param {Array<Object>} log - Keystroke log
+ * @param {number} durationMs - Typing time in milliseconds
+ * @returns {Array<Object>} - Samples { s, wpm, raw }
+ */
+function sampleWpm(log, durationMs) {
+  const samples = [];
+  const interval = SPEED_METRICS.SAMPLE_INTERVAL_MS;
+  const count = Math.ceil(durationMs / interval);
+  let index = 0;
+  let bufferLength = 0;
+
+  for (let s = 1; s <= count; s++) {
+    const end = Math.min(s * interval, durationMs);
+    let typedKeys = 0;
+    while (index < log.length && log[index].t <= end) {
+      if (isTypedKey(log[index])) typedKeys++;
+      bufferLength = log[index].n || 0;
+      index++;
+    }
+    samples.push({
+      s: s,
+      wpm: toWpm(bufferLength, end),
+      raw: toWpm(typedKeys, end - (s - 1) * interval)
+    });
+  }
+  return samples;
+}
+
+/**
+ * Find the fastest stretch of typing
+ * Rounds shorter than the window use the whole round.
+ * @param {Array<Object>} log - Keystroke log
+ * @param {number} durationMs - Typing time in milliseconds
+ * @returns {number} - Burst WPM
+ */
+function burstWpm(log, durationMs) {
+  const times = log.filter(isTypedKey).map(entry => entry.t);
+  const windowMs = SPEED_METRICS.BURST_WINDOW_MS;
+  if (times.length === 0) return 0;
+  if (durationMs <= windowMs) return toWpm(times.length, Math.max(durationMs, 1));
+
+  let best = 0;
+  let end = 0;
+  for (let start = 0; start < times.length; start++) {
+    while (end < times.length && times[end] < times[start] + windowMs) end++;
+    best = Math.max(best, end - start);
+  }
+  return toWpm(best, windowMs);
+}
+
+/**
+ * Score how even the rhythm between keys was
+ * 100% is a perfectly steady rhythm; 0% means intervals vary by as much as their mean or more.
+ * @param {Array<Object>} log - Keystroke log
+ * @returns {number|null} - Consistency percentage, or null with too few keys
+ */
+function consistency(log) {
+  const intervals = [];
+  for (let i = 1; i < log.length; i++) {
+    const gap = log[i].t - log[i - 1].t;
+    if (gap >= 0 && gap <= SPEED_METRICS.PAUSE_CUTOFF_MS) {
+      intervals.push(gap);
+    }
+  }
+  if (intervals.length < SPEED_METRICS.MIN_INTERVALS) return null;
+
+  const mean = intervals.reduce((sum, gap) => sum + gap, 0) / intervals.length;
+  if (mean <= 0) return null;
+  const variance = intervals.reduce((sum, gap) => sum + Math.pow(gap - mean, 2), 0) / intervals.length;
+  const cv = Math.sqrt(variance) / mean;
+  return Math.round(Math.max(0, 1 - cv) * 1000) / 10;
+}
+
+/**
+ * Compute speed metrics for a keystroke log
+ * @param {Array<Object>} keystrokes - Keystroke log from typing.js ({ k, n, t, kind })
+ * @param {Object} options - { durationSeconds: typing time, startDelayMs: ms from round start to the first keystroke }
+ * @returns {Object} - { samples, burstWpm, consistency, timeToFirstKeystroke }
+ */
+export function computeSpeedMetrics(keystrokes, options = {}) {
+  const log = Array.isArray(keystrokes) ? keystrokes.filter(entry => entry && typeof entry.t === 'number') : [];
+  const delay = typeof options.startDelayMs === 'number' ? options.startDelayMs : NaN;
+  const timeToFirstKeystroke = log.length > 0 && isFinite(delay) && delay >= 0
+    ? Math.round(delay / 100) / 10
+    : null;
+
+  if (log.length === 0) {
+    return { samples: [], burstWpm: 0, consistency: null, timeToFirstKeystroke: null };
+  }
+
+  const lastT = log[log.length - 1].t;
+  const durationMs = Math.max(Number(options.durationSeconds) * 1000 || 0, lastT, 1);
+
+  return {
+    samples: sampleWpm(log, durationMs),
+    burstWpm: burstWpm(log, durationMs),
+    consistency: consistency(log),
+    timeToFirstKeystroke: timeToFirstKeystroke
+  };
+}
@@ -0,0 +1,107 @@
+/**
+ * Text Normalization Module
+ *
+ * Per-room options for how strictly typed text must match the paragraph.
+ * The same normalization is applied to both texts before scoring:
+ * - foldLookalikes: smart quotes, dashes, ellipses and special spaces become their keyboard forms
+ * - punctuationSensitive: when off, punctuation is ignored
+ * - caseSensitive: when off, letter case is ignored
+ * - collapseWhitespace: runs of spaces and line breaks count as one space, ends are trimmed
+ *
+ * Rooms created before these options existed have none stored and keep the
+ * strict LEGACY_TEXT_NORMALIZATION behaviour.
+ */
+
+import { normalizeText } from './graphemes.js';
+
+// Behaviour for rooms without stored options (paragraph trimmed, everything else exact)
+export const LEGACY_TEXT_NORMALIZATION = {
+  caseSensitive: true,
+  punctuationSensitive: true,
+  collapseWhitespace: false,
+  foldLookalikes: false
+};
+
+// Defaults offered when creating a room
+export const DEFAULT_TEXT_NORMALIZATION = {
+  caseSensitive: true,
+  punctuationSensitive: true,
+  collapseWhitespace: true,
+  foldLookalikes: true
+};
+
+// Labels for the room setup form
+export const TEXT_NORMALIZATION_OPTIONS = [
+  { key: 'caseSensitive', label: 'Case sensitive', hint: 'Capital and lowercase letters must match.' },
+  { key: 'punctuationSensitive', label: 'Punctuation sensitive', hint: 'Punctuation must be typed; when off it is ignored on both sides.' },
+  { key: 'collapseWhitespace', label: 'Collapse whitespace', hint: 'Extra spaces and line breaks (Enter) count as a single space.' },
+  { key: 'foldLookalikes', label: 'Fold look-alike characters', hint: 'Curly quotes, long dashes, ellipses and non-breaking spaces match their keyboard versions.' }
+];
+
+// Unicode look-alikes and the keyboard characters they fold to
+const LOOKALIKES = [
+  { pattern: /[\u2018\u2019\u201A\u201B\u2032\u02BC]/g, to: "'", label: 'curly single quotes' },
+  { pattern: /[\u201C\u201D\u201E\u201F\u2033\u00AB\u00BB]/g, to: '"', label: 'curly double quotes' },
+  { pattern: /[\u2010\u2011\u2012\u2013\u2014\u2015\u2212]/g, to: '-', label: 'dashes' },
+  { pattern: /\u2026/g, to: '...', label: 'ellipses' },
+  { pattern: /[\u00A0\u2000-\u200A\u202F\u205F\u3000]/g, to: ' ', label: 'special spaces' },
+  { pattern: /[\u200B\u200C\u200D\u2060\uFEFF]/g, to: '', label: 'invisible characters' }
+];
+
+/**
+ * Fill in missing options; rooms without stored options get the legacy behaviour
+ * @param {Object} options - Stored or submitted options
+ * @returns {Object} - { caseSensitive, punctuationSensitive, collapseWhitespace, foldLookalikes }
+ */
+export function normalizeTextOptions(options) {
+  const normalized = { ...LEGACY_TEXT_NORMALIZATION };
+  if (options && typeof options === 'object') {
+    Object.keys(normalized).forEach(key => {
+      if (typeof options[key] === 'boolean') normalized[key] = options[key];
+    });
+  }
+  return normalized;
+}
+
+/**
+ * Replace look-alike characters with their keyboard forms
+ * @param {string} text - Text to fold
+ * @returns {string} - Folded text
+ */
+function foldLookalikes(text) {
+  return LOOKALIKES.reduce((result, entry) => result.replace(entry.pattern, entry.to), text);
+}
+
+/**
+ * Normalize text for comparison
+ * Applied to both the paragraph and the typed text so they stay comparable.
+ * @param {string} text - Text to normalize
+ * @param {Object} options - Normalization options (see normalizeTextOptions)
+ * @returns {string} - Normalized text
+ */
+export function applyTextNormalization(text, options) {
+  const settings = normalizeTextOptions(options);
+  let result = normalizeText(typeof text === 'string' ? text : '');
+  if (settings.foldLookalikes) result = foldLookalikes(result);
+  if (!settings.punctuationSensitive) result = result.replace(/\p{P}/gu, '');
+  if (!settings.caseSensitive) result = result.toLowerCase();
+  if (settings.collapseWhitespace) result = result.replace(/\s+/g, ' ').trim();
+  return result;
+}
+
+/**
+ * Preview what participants will be scored against
+ * @param {string} paragraph - Paragraph as entered by the admin
+ * @param {Object} options - Normalization options
+ * @returns {Object} - { text: normalized paragraph, folded: [{ label, count }] look-alikes that were replaced }
+ */
+export function previewTextNormalization(paragraph, options) {
+  const settings = normalizeTextOptions(options);
+  const source = normalizeText((paragraph || '').trim());
+  const folded = settings.foldLookalikes
+    ? LOOKALIKES
+        .map(entry => ({ label: entry.label, count: (source.match(entry.pattern) || []).length }))
+        .filter(entry => entry.count > 0)
+    : [];
+  return { text: applyTextNormalization(source, settings), folded };
+}
@@ -1,208 +1,136 @@
 /**
  * Blind Typing Module
  * 
- * Implements blind typing functionality:
- * - Captures keydown events
- * - Builds typed string in memory (NOT displayed)
- * - Disables copy, paste, selection, right-click
- * - No visible input field
+ * Compatibility wrapper around TypingSession (typingSession.js) for typing.html:
+ * keeps one active session bound to the page's elements and exposes it through
+ * the original function API. New code should create a TypingSession directly.
  */
 
-let typedText = '';
-let startTime = null;
-let isTyping = false;
-let currentParagraph = '';
-let keyDownHandler = null;
-let eventListeners = [];
+import { TypingSession } from './typingSession.js';
+import { DEFAULT_CORRECTION_POLICY } from './corrections.js';
+import { computeSuspicion } from './botDetection.js';
+
+let activeSession = null;
+
+/**
+ * Detect whether the device should use the touch (on-screen keyboard) input path
+ * @returns {boolean} - True for phones and tablets without a fine pointer
+ */
+export function isTouchDevice() {
+  const hasTouch = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+  const coarsePointer = window.matchMedia ? window.matchMedia('(pointer: coarse)').matches : hasTouch;
+  return hasTouch && coarsePointer;
+}
 
 /**
  * Initialize blind typing
  * @param {string} paragraph - The paragraph to type
- * @param {Function} onComplete - Callback when typing is complete
+ * @param {Function} onComplete - Called once with ({ auto }) when the participant finishes early
+ * @param {Object} options - Optional settings
+ * @param {Function} options.onIncident - Called with (incident, incidentCount) when a focus incident starts
+ * @param {boolean} options.proctored - Block common escape routes for proctored exams
+ * @param {string} options.inputMode - 'keyboard' (default) or 'touch' for on-screen keyboards
+ * @param {string} options.blindness - Blindness level from blindness.js (default fully blind)
+ * @param {string} options.correctionPolicy - Correction policy from corrections.js (default unlimited)
+ * @param {number} options.correctionLimit - Corrections allowed for the limited policy
+ * @param {boolean} options.autoFinish - Finish automatically once the buffer reaches the paragraph length
+ * @param {Function} options.onProgress - Called with ({ chars, position, totalChars, percent }) after every buffer change
+ * @returns {TypingSession} - The active session
  */
-export function initBlindTyping(paragraph, onComplete) {
-  typedText = '';
-  startTime = null;
-  isTyping = false;
-  currentParagraph = paragraph;
-  
-  // Display the paragraph
-  const paragraphElement = document.getElementById('paragraph-display');
-  if (paragraphElement) {
-    paragraphElement.textContent = paragraph;
+export function initBlindTyping(paragraph, onComplete, options = {}) {
+  if (activeSession) {
+    activeSession.stop();
   }
-  
-  // Set up event listeners
-  setupTypingListeners(onComplete);
-  
-  // Disable all text manipulation
-  disableTextManipulation();
+
+  activeSession = new TypingSession(paragraph, {
+    ...options,
+    elements: {
+      paragraph: document.getElementById('paragraph-display'),
+      stats: document.getElementById('typing-stats'),
+      reveal: document.getElementById('typing-reveal'),
+      warning: document.getElementById('focus-warning')
+    }
+  });
+
+  if (onComplete) activeSession.on('complete', onComplete);
+  if (options.onIncident) activeSession.on('incident', options.onIncident);
+  if (options.onProgress) activeSession.on('progress', options.onProgress);
+
+  activeSession.start();
+  return activeSession;
 }
 
 /**
- * Set up keyboard event listeners for typing
- * @param {Function} onComplete - Callback when complete
+ * Finish the round early: stop capturing and hand over to the onComplete callback
+ * The elapsed time is frozen at this moment so the submission uses the true finish time.
+ * @param {boolean} auto - True when triggered by auto-finish
+ * @returns {boolean} - False if typing was already finished or never initialized
  */
-function setupTypingListeners(onComplete) {
-  // Clean up existing listeners first
-  if (keyDownHandler) {
-    document.removeEventListener('keydown', keyDownHandler);
-  }
-  
-  // Create new handler
-  keyDownHandler = handleKeyDown;
-  
-  // Add keydown listener
-  document.addEventListener('keydown', keyDownHandler);
-  
-  // Store onComplete callback
-  window.typingOnComplete = onComplete;
+export function finishTyping(auto = false) {
+  return activeSession ? activeSession.finish(auto) : false;
 }
 
 /**
- * Handle keydown events
- * @param {KeyboardEvent} event - Keyboard event
+ * Check whether the participant has finished early
+ * @returns {boolean} - True after finishTyping()
  */
-function handleKeyDown(event) {
-  // Only capture if typing is active
-  if (!isTyping) {
-    // Start typing on first keypress
-    if (event.key.length === 1 || event.key === 'Backspace' || event.key === 'Enter') {
-      isTyping = true;
-      startTime = Date.now();
-    } else {
-      return;
-    }
-  }
-  
-  // Prevent default for special keys
-  if (event.ctrlKey || event.metaKey) {
-    // Block Ctrl+C, Ctrl+V, Ctrl+A, etc.
-    if (['c', 'v', 'a', 'x', 'z', 'y'].includes(event.key.toLowerCase())) {
-      event.preventDefault();
-      return;
-    }
-  }
-  
-  // Handle typing
-  if (event.key === 'Backspace') {
-    // Remove last character
-    typedText = typedText.slice(0, -1);
-  } else if (event.key === 'Enter') {
-    // Add newline
-    typedText += '\n';
-  } else if (event.key.length === 1) {
-    // Regular character
-    typedText += event.key;
-  }
-  
-  // Update character count display (without showing typed text)
-  updateTypingStats();
+export function hasFinished() {
+  return activeSession ? activeSession.hasFinished() : false;
 }
 
 /**
- * Update typing statistics display
+ * Lock or unlock typing input
+ * While locked, keystrokes are swallowed and not added to the buffer
+ * @param {boolean} locked - Whether input should be locked
  */
-function updateTypingStats() {
-  const statsElement = document.getElementById('typing-stats');
-  if (statsElement) {
-    statsElement.textContent = `Characters typed: ${typedText.length}`;
+export function setInputLocked(locked) {
+  if (activeSession) {
+    activeSession.setInputLocked(locked);
   }
 }
 
-// Store event handlers for cleanup
-const textManipulationHandlers = {
-  contextmenu: null,
-  copy: null,
-  paste: null,
-  cut: null,
-  selectstart: null,
-  dragstart: null
-};
+/**
+ * Get typed text
+ * @returns {string} - The typed text
+ */
+export function getTypedText() {
+  return activeSession ? activeSession.getTypedText() : '';
+}
 
 /**
- * Disable all text manipulation features
+ * Get the keystroke log for the current session
+ * @returns {Array<Object>} - Copy of the keystroke log entries
  */
-function disableTextManipulation() {
-  // Clean up existing handlers first
-  cleanupTextManipulation();
-  
-  // Create handlers
-  textManipulationHandlers.contextmenu = (e) => {
-    e.preventDefault();
-    return false;
-  };
-  textManipulationHandlers.copy = (e) => {
-    e.preventDefault();
-    return false;
-  };
-  textManipulationHandlers.paste = (e) => {
-    e.preventDefault();
-    return false;
-  };
-  textManipulationHandlers.cut = (e) => {
-    e.preventDefault();
-    return false;
-  };
-  textManipulationHandlers.selectstart = (e) => {
-    e.preventDefault();
-    return false;
-  };
-  textManipulationHandlers.dragstart = (e) => {
-    e.preventDefault();
-    return false;
-  };
-  
-  // Add event listeners
-  document.addEventListener('contextmenu', textManipulationHandlers.contextmenu);
-  document.addEventListener('copy', textManipulationHandlers.copy);
-  document.addEventListener('paste', textManipulationHandlers.paste);
-  document.addEventListener('cut', textManipulationHandlers.cut);
-  document.addEventListener('selectstart', textManipulationHandlers.selectstart);
-  document.addEventListener('dragstart', textManipulationHandlers.dragstart);
-  
-  // Make body unselectable via CSS
-  document.body.style.userSelect = 'none';
-  document.body.style.webkitUserSelect = 'none';
-  document.body.style.mozUserSelect = 'none';
-  document.body.style.msUserSelect = 'none';
+export function getKeystrokeLog() {
+  return activeSession ? activeSession.getKeystrokeLog() : [];
 }
 
 /**
- * Clean up text manipulation event listeners
+ * Get focus incidents recorded during the current session
+ * @returns {Array<Object>} - Copies of { type, t, duration } entries (ms since first keystroke)
  */
-function cleanupTextManipulation() {
-  if (textManipulationHandlers.contextmenu) {
-    document.removeEventListener('contextmenu', textManipulationHandlers.contextmenu);
-  }
-  if (textManipulationHandlers.copy) {
-    document.removeEventListener('copy', textManipulationHandlers.copy);
-  }
-  if (textManipulationHandlers.paste) {
-    document.removeEventListener('paste', textManipulationHandlers.paste);
-  }
-  if (textManipulationHandlers.cut) {
-    document.removeEventListener('cut', textManipulationHandlers.cut);
-  }
-  if (textManipulationHandlers.selectstart) {
-    document.removeEventListener('selectstart', textManipulationHandlers.selectstart);
-  }
-  if (textManipulationHandlers.dragstart) {
-    document.removeEventListener('dragstart', textManipulationHandlers.dragstart);
-  }
-  
-  // Reset handlers
-  Object.keys(textManipulationHandlers).forEach(key => {
-    textManipulationHandlers[key] = null;
-  });
+export function getFocusIncidents() {
+  return activeSession ? activeSession.getFocusIncidents() : [];
 }
 
 /**
- * Get typed text
- * @returns {string} - The typed text
+ * Get the bot-detection suspicion report for the current session
+ * @returns {Object} - { score, flagged, reasons, signals }
  */
-export function getTypedText() {
-  return typedText;
+export function getSuspicionReport() {
+  if (!activeSession) return computeSuspicion([]);
+  return activeSession.getSuspicionReport();
+}
+
+/**
+ * Get correction usage for the round
+ * @returns {Object} - { policy, limit, used, blocked }
+ */
+export function getCorrectionStats() {
+  if (!activeSession) {
+    return { policy: DEFAULT_CORRECTION_POLICY, limit: 0, used: 0, blocked: 0 };
+  }
+  return activeSession.getCorrectionStats();
 }
 
 /**
@@ -210,46 +138,22 @@ export function getTypedText() {
  * @returns {number} - Time in seconds
  */
 export function getElapsedTime() {
-  if (!startTime) {
-    // Fallback: if startTime is missing but user typed something, estimate reasonable time
-    if (typedText.length > 0) {
-      // Estimate ~3 characters per second (20 WPM baseline)
-      return Math.max(1, typedText.length / 3);
-    }
-    return 0;
-  }
-  return (Date.now() - startTime) / 1000;
+  return activeSession ? activeSession.getElapsedTime() : 0;
 }
 
 /**
- * Stop typing and clean up
+ * Stop typing and clean up (the session's results stay readable until resetTyping)
  */
 export function stopTyping() {
-  isTyping = false;
-  
-  // Remove keydown listener
-  if (keyDownHandler) {
-    document.removeEventListener('keydown', keyDownHandler);
-    keyDownHandler = null;
+  if (activeSession) {
+    activeSession.stop();
   }
-  
-  // Clean up text manipulation handlers
-  cleanupTextManipulation();
-  
-  // Restore body styles
-  document.body.style.userSelect = '';
-  document.body.style.webkitUserSelect = '';
-  document.body.style.mozUserSelect = '';
-  document.body.style.msUserSelect = '';
 }
 
 /**
  * Reset typing state
  */
 export function resetTyping() {
-  typedText = '';
-  startTime = null;
-  isTyping = false;
-  currentParagraph = '';
   stopTyping();
+  activeSession = null;
 }
@@ -0,0 +1,941 @@
+/**
+ * Typing Session Module
+ *
+ * A self-contained blind typing session. All state lives on the instance, and
+ * the DOM elements, clock and event source are injectable, so several sessions
+ * can run side by side, be embedded in other pages, or be driven from tests.
+ *
+ * A session:
+ * - Captures keydown events, plus IME composition via a hidden capture element
+ * - Touch mode: captures on-screen keyboard input through beforeinput on the same element
+ * - Builds typed string in memory (NOT displayed)
+ * - Optional blindness levels reveal the caret, current word or a brief word flash
+ * - Enforces the round's correction (backspace) policy and counts corrections
+ * - Finish-early: explicit finish action or auto-finish once the paragraph is fully typed
+ * - Records a per-keystroke event log for disputes and analytics
+ * - Tracks focus, visibility and fullscreen-exit incidents
+ * - Disables copy, paste, selection, right-click
+ * - Proctored mode: blocks devtools/close/print shortcuts and supports input locking
+ * - Snapshot and restore of the buffer for crash recovery (see recovery.js)
+ *
+ * Events (subscribe with on()):
+ * - 'start'     ({ startedAt })                         first input started the clock
+ * - 'keystroke' (entry)                                 keystroke log entry was recorded
+ * - 'progress'  ({ chars, position, totalChars, percent }) buffer changed
+ * - 'incident'  (incident, incidentCount)               focus incident started
+ * - 'complete'  ({ auto })                              participant finished early
+ */
+
+import { computeSuspicion } from './botDetection.js';
+import { countGraphemes, removeLastGrapheme } from './graphemes.js';
+import {
+  BLINDNESS_LEVELS,
+  FLASH_DURATION_MS,
+  normalizeBlindness,
+  getCurrentWord,
+  getLastCompletedWord,
+  splitAtCaret
+} from './blindness.js';
+import { CORRECTION_POLICIES, normalizeCorrectionPolicy, canCorrect } from './corrections.js';
+
+// Kept in the capture element in touch mode so virtual keyboards always have something to delete
+const CAPTURE_SENTINEL = '\u200B';
+
+// Default clock; tests can inject a fake one
+const DEFAULT_CLOCK = {
+  now: () => performance.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (id) => clearTimeout(id)
+};
+
+/**
+ * Check whether a key value produces text
+ * Named keys ("Shift", "ArrowLeft", "Dead", "Process") are ASCII words;
+ * anything else, including multi-code-unit emoji and conjuncts, is text.
+ * @param {string} key - KeyboardEvent.key value
+ * @returns {boolean} - True if the key inserts text
+ */
+function isTextKey(key) {
+  if (!key) return false;
+  if (key.length === 1) return true;
+  return !/^[A-Z][A-Za-z0-9]+$/.test(key);
+}
+
+/**
+ * Check whether a key combination is a blocked escape route
+ * @param {KeyboardEvent} event - Keyboard event
+ * @returns {boolean} - True if the shortcut should be blocked
+ */
+function isEscapeRoute(event) {
+  const key = event.key.toLowerCase();
+  const ctrl = event.ctrlKey || event.metaKey;
+
+  if (event.key === 'F12' || event.key === 'PrintScreen') return true;
+  // Devtools: Ctrl+Shift+I / J / C
+  if (ctrl && event.shiftKey && ['i', 'j', 'c'].includes(key)) return true;
+  // View source, print, save, close tab/window, new tab/window
+  if (ctrl && ['u', 'p', 's', 'w', 't', 'n'].includes(key)) return true;
+  // Alt+F4 and browser back/forward via Alt+Arrow
+  if (event.altKey && ['F4', 'ArrowLeft', 'ArrowRight'].includes(event.key)) return true;
+  return false;
+}
+
+/**
+ * Swallow an event entirely
+ * @param {Event} event - Event to cancel
+ * @returns {boolean} - Always false
+ */
+function preventEvent(event) {
+  event.preventDefault();
+  return false;
+}
+
+export class TypingSession {
+  /**
+   * Create a typing session (nothing is attached until start())
+   * @param {string} paragraph - The paragraph to type
+   * @param {Object} config - Session configuration
+   * @param {Object} config.elements - Display elements, each optional:
+   *   { paragraph, stats, reveal, warning, root } (root receives the hidden capture element)
+   * @param {EventTarget} config.eventSource - Receives keyboard and text-manipulation listeners (default document)
+   * @param {Object} config.clock - { now, setTimeout, clearTimeout } overrides (default performance.now / timers)
+   * @param {Document} config.document - Document used for focus tracking and element creation
+   * @param {Window} config.window - Window used for focus tracking and proctoring
+   * @param {boolean} config.proctored - Block common escape routes for proctored exams
+   * @param {string} config.inputMode - 'keyboard' (default) or 'touch' for on-screen keyboards
+   * @param {string} config.blindness - Blindness level from blindness.js (default fully blind)
+   * @param {string} config.correctionPolicy - Correction policy from corrections.js (default unlimited)
+   * @param {number} config.correctionLimit - Corrections allowed for the limited policy
+   * @param {boolean} config.autoFinish - Finish automatically once the buffer reaches the paragraph length
+   */
+  constructor(paragraph, config = {}) {
+    this.paragraph = paragraph || '';
+    this.paragraphLength = countGraphemes(this.paragraph.trim());
+    this.document = config.document || globalThis.document;
+    this.window = config.window || globalThis.window;
+    this.eventSource = config.eventSource || this.document;
+    this.clock = { ...DEFAULT_CLOCK, ...(config.clock || {}) };
+    this.elements = {
+      root: this.document?.body || null,
+      ...(config.elements || {})
+    };
+
+    this.proctored = !!config.proctored;
+    this.inputMode = config.inputMode === 'touch' ? 'touch' : 'keyboard';
+    this.blindness = normalizeBlindness(config.blindness);
+    this.correction = normalizeCorrectionPolicy(config.correctionPolicy, config.correctionLimit);
+    this.autoFinish = !!config.autoFinish;
+
+    this.typedText = '';
+    this.startAt = null;
+    this.finishedAt = null;
+    this.isTyping = false;
+    this.active = false;
+    this.inputLocked = false;
+    this.isComposing = false;
+    this.keystrokeLog = [];
+    this.incidents = [];
+    this.correctionsUsed = 0;
+    this.correctionsBlocked = 0;
+    this.captureElement = null;
+    this.flashTimer = null;
+    this.openAwayIncident = null;
+    this.openFullscreenIncident = null;
+    this.listeners = {};
+    this.cleanups = [];
+
+    // Bound once so they can be removed again
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleBeforeInput = this.handleBeforeInput.bind(this);
+    this.handleCompositionStart = this.handleCompositionStart.bind(this);
+    this.handleCompositionEnd = this.handleCompositionEnd.bind(this);
+    this.clearCaptureElement = this.clearCaptureElement.bind(this);
+    this.focusCaptureElement = this.focusCaptureElement.bind(this);
+    this.focusCaptureElementNow = this.focusCaptureElementNow.bind(this);
+  }
+
+  /**
+   * Subscribe to a session event
+   * @param {string} type - 'start' | 'keystroke' | 'progress' | 'incident' | 'complete'
+   * @param {Function} handler - Event handler
+   * @returns {Function} - Unsubscribe function
+   */
+  on(type, handler) {
+    if (!this.listeners[type]) {
+      this.listeners[type] = [];
+    }
+    this.listeners[type].push(handler);
+    return () => this.off(type, handler);
+  }
+
+  /**
+   * Unsubscribe from a session event
+   * @param {string} type - Event type
+   * @param {Function} handler - Handler passed to on()
+   */
+  off(type, handler) {
+    if (this.listeners[type]) {
+      this.listeners[type] = this.listeners[type].filter(fn => fn !== handler);
+    }
+  }
+
+  /**
+   * Call every handler subscribed to an event
+   * @param {string} type - Event type
+   * @param {...*} args - Event payload
+   */
+  emit(type, ...args) {
+    (this.listeners[type] || []).slice().forEach(handler => {
+      try {
+        handler(...args);
+      } catch (error) {
+        console.error(`[TypingSession] ${type} handler error:`, error);
+      }
+    });
+  }
+
+  /**
+   * Attach a listener and remember how to remove it
+   * @param {EventTarget} target - Event target
+   * @param {string} type - Event type
+   * @param {Function} handler - Listener
+   * @param {boolean|Object} options - addEventListener options
+   */
+  listen(target, type, handler, options) {
+    if (!target) return;
+    target.addEventListener(type, handler, options);
+    this.cleanups.push(() => target.removeEventListener(type, handler, options));
+  }
+
+  /**
+   * Render the paragraph and start listening for input
+   */
+  start() {
+    if (this.active) return;
+    this.active = true;
+
+    // Display the paragraph (with the caret at the start for caret-revealing levels)
+    this.renderParagraph();
+    this.renderReveal('');
+    if (this.elements.warning) {
+      this.elements.warning.style.display = 'none';
+    }
+
+    this.listen(this.eventSource, 'keydown', this.handleKeyDown);
+    // IME and dead-key input only composes inside an editable element
+    this.attachCaptureElement();
+    this.disableTextManipulation();
+    // Proctored exams also block devtools, closing and printing shortcuts
+    if (this.proctored) {
+      this.blockEscapeRoutes();
+    }
+    // Watch for the participant leaving the typing window
+    this.trackFocusIncidents();
+  }
+
+  /**
+   * Stop listening and clean up; the buffer and logs stay readable
+   */
+  stop() {
+    // Close open incidents before typing is marked inactive
+    this.closeIncident(this.openAwayIncident);
+    this.closeIncident(this.openFullscreenIncident);
+    this.openAwayIncident = null;
+    this.openFullscreenIncident = null;
+
+    this.isTyping = false;
+    this.active = false;
+    this.inputLocked = false;
+
+    this.cleanups.splice(0).reverse().forEach(cleanup => cleanup());
+    this.detachCaptureElement();
+    this.clearFlash();
+    this.renderReveal('');
+
+    // Restore body styles
+    const body = this.document?.body;
+    if (body) {
+      body.style.userSelect = '';
+      body.style.webkitUserSelect = '';
+      body.style.mozUserSelect = '';
+      body.style.msUserSelect = '';
+    }
+  }
+
+  /**
+   * Finish the round early and emit 'complete'
+   * The elapsed time is frozen at this moment so the submission uses the true finish time.
+   * @param {boolean} auto - True when triggered by auto-finish
+   * @returns {boolean} - False if the session already finished or is not running
+   */
+  finish(auto = false) {
+    if (!this.active || this.finishedAt !== null) {
+      return false;
+    }
+    this.finishedAt = this.clock.now();
+    this.inputLocked = true;
+    this.emit('complete', { auto: auto });
+    return true;
+  }
+
+  /**
+   * Check whether the participant has finished early
+   * @returns {boolean} - True after finish()
+   */
+  hasFinished() {
+    return this.finishedAt !== null;
+  }
+
+  /**
+   * Lock or unlock typing input
+   * While locked, keystrokes are swallowed and not added to the buffer
+   * @param {boolean} locked - Whether input should be locked
+   */
+  setInputLocked(locked) {
+    this.inputLocked = !!locked;
+  }
+
+  /**
+   * Start the typing clock on the first input
+   */
+  startTypingIfNeeded() {
+    if (!this.isTyping) {
+      this.isTyping = true;
+      this.startAt = this.clock.now();
+      this.emit('start', { startedAt: this.startAt });
+    }
+  }
+
+  /**
+   * Milliseconds since the first keystroke
+   * @returns {number} - Elapsed milliseconds
+   */
+  elapsedMs() {
+    return this.startAt !== null ? this.clock.now() - this.startAt : 0;
+  }
+
+  /**
+   * Handle keydown events
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  handleKeyDown(event) {
+    // Swallow all input while locked (e.g. proctored round outside fullscreen)
+    if (this.inputLocked) {
+      event.preventDefault();
+      return;
+    }
+
+    // Touch mode buffers through beforeinput so hardware and virtual keys are not counted twice
+    if (this.inputMode === 'touch') {
+      return;
+    }
+
+    // Keys pressed during IME composition are committed on compositionend instead
+    if (this.isComposing || event.isComposing || event.keyCode === 229) {
+      return;
+    }
+
+    // Only capture if typing is active
+    if (!this.isTyping) {
+      // Start typing on first keypress
+      if (isTextKey(event.key) || event.key === 'Backspace' || event.key === 'Enter') {
+        this.startTypingIfNeeded();
+      } else {
+        return;
+      }
+    }
+
+    // Prevent default for special keys
+    if (event.ctrlKey || event.metaKey) {
+      // Block Ctrl+C, Ctrl+V, Ctrl+A, etc.
+      if (['c', 'v', 'a', 'x', 'z', 'y'].includes(event.key.toLowerCase())) {
+        event.preventDefault();
+        return;
+      }
+    }
+
+    // Handle typing
+    if (event.key === 'Backspace') {
+      // Remove last user-perceived character, if the correction policy allows it
+      if (!this.applyBackspace(event.key, event.isTrusted)) {
+        event.preventDefault();
+        return;
+      }
+    } else if (event.key === 'Enter') {
+      // Add newline
+      this.typedText += '\n';
+      this.recordKeystroke(event.key, 'enter', event.isTrusted);
+    } else if (isTextKey(event.key)) {
+      // Regular character (may be several code units, e.g. emoji)
+      this.typedText += event.key;
+      this.recordKeystroke(event.key, 'char', event.isTrusted);
+    }
+
+    this.afterBufferChange();
+  }
+
+  /**
+   * Handle beforeinput on the capture element (touch mode input path)
+   * Feeds the same buffer and keystroke log as keydown; paste, drop and
+   * autocorrect replacements are blocked.
+   * @param {InputEvent} event - Input event
+   */
+  handleBeforeInput(event) {
+    if (this.inputMode !== 'touch') return;
+
+    if (this.inputLocked) {
+      event.preventDefault();
+      return;
+    }
+
+    switch (event.inputType) {
+      case 'insertText':
+        if (!event.data) return;
+        this.startTypingIfNeeded();
+        this.typedText += event.data;
+        this.recordKeystroke(event.data, 'char', event.isTrusted);
+        break;
+      case 'insertLineBreak':
+      case 'insertParagraph':
+        this.startTypingIfNeeded();
+        this.typedText += '\n';
+        this.recordKeystroke('Enter', 'enter', event.isTrusted);
+        break;
+      case 'deleteContentBackward':
+        this.startTypingIfNeeded();
+        if (!this.applyBackspace('Backspace', event.isTrusted)) {
+          event.preventDefault();
+          return;
+        }
+        break;
+      case 'insertCompositionText':
+      case 'deleteCompositionText':
+      case 'insertFromComposition':
+        // Committed on compositionend
+        return;
+      default:
+        // insertFromPaste, insertFromDrop, insertReplacementText, deleteWordBackward, ...
+        event.preventDefault();
+        return;
+    }
+
+    this.afterBufferChange();
+  }
+
+  /**
+   * Handle compositionstart (IME or dead key sequence begins)
+   */
+  handleCompositionStart() {
+    this.isComposing = true;
+  }
+
+  /**
+   * Handle compositionend - commit the composed text to the buffer
+   * @param {CompositionEvent} event - Composition event
+   */
+  handleCompositionEnd(event) {
+    this.isComposing = false;
+    this.resetCaptureValue();
+    if (this.inputLocked || !event.data) {
+      return;
+    }
+
+    this.startTypingIfNeeded();
+    this.typedText += event.data;
+    this.recordKeystroke(event.data, 'char', event.isTrusted);
+    this.afterBufferChange();
+  }
+
+  /**
+   * Apply a backspace under the round's correction policy
+   * Blocked backspaces are counted but not logged, so replays stay faithful to the buffer.
+   * @param {string} key - Key value to record
+   * @param {boolean} isTrusted - Whether the browser generated the event
+   * @returns {boolean} - False if the policy blocked the correction
+   */
+  applyBackspace(key, isTrusted) {
+    if (this.typedText) {
+      if (!canCorrect(this.correction, this.typedText, this.correctionsUsed)) {
+        this.correctionsBlocked++;
+        return false;
+      }
+      this.correctionsUsed++;
+    }
+    this.typedText = removeLastGrapheme(this.typedText);
+    this.recordKeystroke(key, 'backspace', isTrusted);
+    return true;
+  }
+
+  /**
+   * Append an entry to the keystroke log and emit 'keystroke'
+   * Entries are kept compact since the whole log is stored with the result:
+   * { k: key, n: buffer length (graphemes) after the key, t: ms since first keystroke, kind: 'char' | 'backspace' | 'enter' }
+   * Untrusted (script-dispatched) events additionally get u: true
+   * @param {string} key - The key value from the keyboard event
+   * @param {string} kind - Keystroke kind
+   * @param {boolean} isTrusted - Whether the browser generated the event
+   */
+  recordKeystroke(key, kind, isTrusted) {
+    const entry = {
+      k: key,
+      n: countGraphemes(this.typedText),
+      t: Math.round(this.elapsedMs() * 10) / 10,
+      kind: kind
+    };
+    if (isTrusted === false) {
+      entry.u = true;
+    }
+    this.keystrokeLog.push(entry);
+    this.emit('keystroke', { ...entry });
+  }
+
+  /**
+   * Refresh the display, report progress and check auto-finish after the buffer changed
+   * @param {boolean} allowFlash - False to skip the word flash (e.g. when restoring a buffer)
+   */
+  afterBufferChange(allowFlash = true) {
+    // Update character count display (without showing typed text)
+    this.updateTypingStats();
+    this.updateReveal(allowFlash);
+
+    // Position is estimated from the buffer length, since the buffer itself is never compared live
+    const chars = countGraphemes(this.typedText);
+    const position = Math.min(chars, this.paragraphLength);
+    this.emit('progress', {
+      chars: chars,
+      position: position,
+      totalChars: this.paragraphLength,
+      percent: this.paragraphLength > 0 ? Math.round((position / this.paragraphLength) * 100) : 0
+    });
+
+    // Finish once the buffer covers the whole paragraph, if auto-finish is enabled
+    if (this.autoFinish && chars >= this.paragraphLength) {
+      this.finish(true);
+    }
+  }
+
+  /**
+   * Update typing statistics display
+   */
+  updateTypingStats() {
+    const statsElement = this.elements.stats;
+    if (statsElement) {
+      let stats = `Characters typed: ${countGraphemes(this.typedText)}`;
+      if (this.correction.policy === CORRECTION_POLICIES.LIMITED) {
+        stats += ` · Corrections left: ${Math.max(0, this.correction.limit - this.correctionsUsed)}`;
+      }
+      statsElement.textContent = stats;
+    }
+  }
+
+  /**
+   * Render the paragraph, marking the caret position when the blindness level allows it
+   * Only the position is revealed, never whether the typed characters are correct
+   */
+  renderParagraph() {
+    const paragraphElement = this.elements.paragraph;
+    if (!paragraphElement) return;
+
+    if (this.blindness !== BLINDNESS_LEVELS.CARET && this.blindness !== BLINDNESS_LEVELS.CURRENT_WORD) {
+      paragraphElement.textContent = this.paragraph;
+      return;
+    }
+
+    const parts = splitAtCaret(this.paragraph, countGraphemes(this.typedText));
+    const caret = this.document.createElement('span');
+    caret.className = 'typing-caret';
+    caret.textContent = parts.current;
+    paragraphElement.replaceChildren(
+      this.document.createTextNode(parts.before),
+      caret,
+      this.document.createTextNode(parts.after)
+    );
+  }
+
+  /**
+   * Show text in the reveal element, hiding it when empty
+   * @param {string} text - Text to reveal
+   */
+  renderReveal(text) {
+    const revealElement = this.elements.reveal;
+    if (!revealElement) return;
+    revealElement.textContent = text;
+    revealElement.style.visibility = text ? 'visible' : 'hidden';
+  }
+
+  /**
+   * Cancel a pending flash timer
+   */
+  clearFlash() {
+    if (this.flashTimer) {
+      this.clock.clearTimeout(this.flashTimer);
+      this.flashTimer = null;
+    }
+  }
+
+  /**
+   * Apply the blindness level after the buffer changed
+   * @param {boolean} allowFlash - False to skip the word flash
+   */
+  updateReveal(allowFlash = true) {
+    switch (this.blindness) {
+      case BLINDNESS_LEVELS.CARET:
+        this.renderParagraph();
+        break;
+      case BLINDNESS_LEVELS.CURRENT_WORD:
+        this.renderParagraph();
+        this.renderReveal(getCurrentWord(this.typedText));
+        break;
+      case BLINDNESS_LEVELS.FLASH: {
+        // Only a freshly completed word flashes; backspacing into whitespace does not
+        const lastEntry = this.keystrokeLog[this.keystrokeLog.length - 1];
+        const word = allowFlash && lastEntry && lastEntry.kind !== 'backspace' ? getLastCompletedWord(this.typedText) : '';
+        this.clearFlash();
+        this.renderReveal(word);
+        if (word) {
+          this.flashTimer = this.clock.setTimeout(() => {
+            this.flashTimer = null;
+            this.renderReveal('');
+          }, FLASH_DURATION_MS);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Create the hidden capture element that receives IME composition and, in touch mode,
+   * on-screen keyboard input. It is invisible and its value is reset after every commit,
+   * so the buffer stays blind.
+   */
+  attachCaptureElement() {
+    if (!this.elements.root) return;
+    this.detachCaptureElement();
+
+    const captureElement = this.document.createElement('textarea');
+    captureElement.className = 'typing-capture';
+    captureElement.setAttribute('autocomplete', 'off');
+    captureElement.setAttribute('autocorrect', 'off');
+    captureElement.setAttribute('autocapitalize', 'off');
+    captureElement.setAttribute('spellcheck', 'false');
+    captureElement.setAttribute('aria-hidden', 'true');
+    captureElement.tabIndex = -1;
+    Object.assign(captureElement.style, {
+      position: 'fixed',
+      top: '50%',
+      left: '50%',
+      width: '1px',
+      height: '1px',
+      opacity: '0',
+      border: '0',
+      padding: '0',
+      resize: 'none',
+      overflow: 'hidden',
+      color: 'transparent',
+      background: 'transparent',
+      caretColor: 'transparent',
+      pointerEvents: 'none',
+      // 16px stops iOS from zooming the page when the element is focused
+      fontSize: '16px'
+    });
+
+    captureElement.addEventListener('compositionstart', this.handleCompositionStart);
+    captureElement.addEventListener('compositionend', this.handleCompositionEnd);
+    captureElement.addEventListener('beforeinput', this.handleBeforeInput);
+    captureElement.addEventListener('input', this.clearCaptureElement);
+
+    if (this.inputMode === 'touch') {
+      // Mobile browsers only raise the keyboard when focus happens synchronously inside a tap
+      captureElement.setAttribute('inputmode', 'text');
+      captureElement.setAttribute('enterkeyhint', 'enter');
+      this.listen(this.eventSource, 'click', this.focusCaptureElementNow);
+    } else {
+      this.listen(this.eventSource, 'pointerdown', this.focusCaptureElement);
+    }
+
+    this.captureElement = captureElement;
+    this.elements.root.appendChild(captureElement);
+    this.resetCaptureValue();
+    this.focusCaptureElement();
+  }
+
+  /**
+   * Remove the hidden capture element
+   */
+  detachCaptureElement() {
+    const captureElement = this.captureElement;
+    if (captureElement) {
+      captureElement.removeEventListener('compositionstart', this.handleCompositionStart);
+      captureElement.removeEventListener('compositionend', this.handleCompositionEnd);
+      captureElement.removeEventListener('beforeinput', this.handleBeforeInput);
+      captureElement.removeEventListener('input', this.clearCaptureElement);
+      captureElement.remove();
+      this.captureElement = null;
+    }
+    this.isComposing = false;
+  }
+
+  /**
+   * Keep focus on the capture element so composition keeps working after clicks
+   */
+  focusCaptureElement() {
+    if (this.captureElement) {
+      // Defer so the click that triggered this does not steal focus back
+      this.clock.setTimeout(() => this.focusCaptureElementNow(), 0);
+    }
+  }
+
+  /**
+   * Focus the capture element immediately (touch mode, inside the tap handler)
+   */
+  focusCaptureElementNow() {
+    if (this.captureElement) {
+      this.captureElement.focus({ preventScroll: true });
+    }
+  }
+
+  /**
+   * Reset the capture element to its idle value with the caret at the end
+   */
+  resetCaptureValue() {
+    const captureElement = this.captureElement;
+    if (!captureElement) return;
+    captureElement.value = this.inputMode === 'touch' ? CAPTURE_SENTINEL : '';
+    const end = captureElement.value.length;
+    captureElement.setSelectionRange(end, end);
+  }
+
+  /**
+   * Clear anything the browser wrote into the capture element
+   */
+  clearCaptureElement() {
+    if (this.captureElement && !this.isComposing) {
+      this.resetCaptureValue();
+    }
+  }
+
+  /**
+   * Record the start of a focus incident, warn the participant and emit 'incident'
+   * @param {string} type - 'tab-hidden' | 'window-blur' | 'fullscreen-exit'
+   * @returns {Object} - The incident entry
+   */
+  openIncident(type) {
+    const incident = { type: type, t: Math.round(this.elapsedMs()), duration: null };
+    this.incidents.push(incident);
+    this.showFocusWarning();
+    this.emit('incident', { ...incident }, this.incidents.length);
+    return incident;
+  }
+
+  /**
+   * Close an open incident by filling in its duration
+   * @param {Object} incident - Incident entry from openIncident()
+   */
+  closeIncident(incident) {
+    if (incident && incident.duration === null) {
+      incident.duration = Math.max(0, Math.round(this.elapsedMs()) - incident.t);
+    }
+  }
+
+  /**
+   * Show the on-screen warning about recorded incidents
+   */
+  showFocusWarning() {
+    const warningElement = this.elements.warning;
+    if (warningElement) {
+      const count = this.incidents.length;
+      warningElement.textContent = `⚠️ Leaving the typing window is recorded (${count} incident${count === 1 ? '' : 's'}). Stay on this screen until the round ends.`;
+      warningElement.style.display = 'block';
+    }
+  }
+
+  /**
+   * Track tab switches, window blur and fullscreen exits while typing is active
+   * Leaving the tab or window counts as one "away" incident until both focus and visibility return
+   */
+  trackFocusIncidents() {
+    const doc = this.document;
+    if (!doc) return;
+
+    this.listen(doc, 'visibilitychange', () => {
+      if (!this.isTyping) return;
+      if (doc.visibilityState === 'hidden') {
+        if (!this.openAwayIncident) this.openAwayIncident = this.openIncident('tab-hidden');
+      } else if (doc.hasFocus()) {
+        this.closeIncident(this.openAwayIncident);
+        this.openAwayIncident = null;
+      }
+    });
+    this.listen(this.window, 'blur', () => {
+      if (!this.isTyping) return;
+      if (!this.openAwayIncident) this.openAwayIncident = this.openIncident('window-blur');
+    });
+    this.listen(this.window, 'focus', () => {
+      if (!this.isTyping || doc.visibilityState === 'hidden') return;
+      this.closeIncident(this.openAwayIncident);
+      this.openAwayIncident = null;
+    });
+    this.listen(doc, 'fullscreenchange', () => {
+      if (!this.isTyping) return;
+      if (!doc.fullscreenElement) {
+        if (!this.openFullscreenIncident) this.openFullscreenIncident = this.openIncident('fullscreen-exit');
+      } else {
+        this.closeIncident(this.openFullscreenIncident);
+        this.openFullscreenIncident = null;
+      }
+    });
+  }
+
+  /**
+   * Block common ways out of a proctored round
+   * Browsers reserve some shortcuts (e.g. Ctrl+W in Chrome), so leaving is also guarded by beforeunload
+   */
+  blockEscapeRoutes() {
+    // Capture phase so shortcuts are stopped before the typing handler sees them
+    this.listen(this.window, 'keydown', (e) => {
+      if (isEscapeRoute(e)) {
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        return false;
+      }
+    }, true);
+    // Print Screen only reaches keyup on most platforms; overwrite the clipboard where allowed
+    this.listen(this.window, 'keyup', (e) => {
+      if (e.key === 'PrintScreen') {
+        e.preventDefault();
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+          navigator.clipboard.writeText('').catch(() => {});
+        }
+      }
+    }, true);
+    this.listen(this.window, 'beforeunload', (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    });
+  }
+
+  /**
+   * Disable all text manipulation features
+   */
+  disableTextManipulation() {
+    ['contextmenu', 'copy', 'paste', 'cut', 'selectstart', 'dragstart'].forEach(type => {
+      this.listen(this.eventSource, type, preventEvent);
+    });
+
+    // Make body unselectable via CSS
+    const body = this.document?.body;
+    if (body) {
+      body.style.userSelect = 'none';
+      body.style.webkitUserSelect = 'none';
+      body.style.mozUserSelect = 'none';
+      body.style.msUserSelect = 'none';
+    }
+  }
+
+  /**
+   * Capture the session state needed to resume after a page reload
+   * @returns {Object} - { typedText, keystrokes, incidents, correctionsUsed, correctionsBlocked, elapsedMs }
+   */
+  snapshot() {
+    return {
+      typedText: this.typedText,
+      keystrokes: this.getKeystrokeLog(),
+      incidents: this.getFocusIncidents(),
+      correctionsUsed: this.correctionsUsed,
+      correctionsBlocked: this.correctionsBlocked,
+      elapsedMs: this.startAt !== null ? Math.round(this.elapsedMs()) : null
+    };
+  }
+
+  /**
+   * Resume from a snapshot taken before a page reload
+   * The clock continues from the original first keystroke, so time spent away still counts.
+   * Only a session without any input yet can be restored; callers validate the snapshot first.
+   * @param {Object} state - Snapshot from snapshot(); elapsedMs should include the time away
+   * @returns {boolean} - False if the session already has input
+   */
+  restore(state) {
+    if (this.keystrokeLog.length > 0 || this.finishedAt !== null || !state) {
+      return false;
+    }
+
+    this.typedText = state.typedText || '';
+    this.keystrokeLog = (state.keystrokes || []).map(entry => ({ ...entry }));
+    this.incidents = (state.incidents || []).map(incident => ({ ...incident }));
+    this.correctionsUsed = state.correctionsUsed || 0;
+    this.correctionsBlocked = state.correctionsBlocked || 0;
+    if (state.elapsedMs !== null && state.elapsedMs !== undefined) {
+      this.isTyping = true;
+      this.startAt = this.clock.now() - state.elapsedMs;
+    }
+
+    if (this.incidents.length > 0) {
+      this.showFocusWarning();
+    }
+    this.afterBufferChange(false);
+    return true;
+  }
+
+  /**
+   * Get typed text
+   * @returns {string} - The typed text
+   */
+  getTypedText() {
+    return this.typedText;
+  }
+
+  /**
+   * Get the keystroke log
+   * @returns {Array<Object>} - Copy of the keystroke log entries
+   */
+  getKeystrokeLog() {
+    return this.keystrokeLog.slice();
+  }
+
+  /**
+   * Get focus incidents recorded during the session
+   * @returns {Array<Object>} - Copies of { type, t, duration } entries (ms since first keystroke)
+   */
+  getFocusIncidents() {
+    return this.incidents.map(incident => ({ ...incident }));
+  }
+
+  /**
+   * Get the bot-detection suspicion report
+   * @returns {Object} - { score, flagged, reasons, signals }
+   */
+  getSuspicionReport() {
+    return computeSuspicion(this.keystrokeLog);
+  }
+
+  /**
+   * Get correction usage
+   * @returns {Object} - { policy, limit, used, blocked }
+   */
+  getCorrectionStats() {
+    return {
+      policy: this.correction.policy,
+      limit: this.correction.limit,
+      used: this.correctionsUsed,
+      blocked: this.correctionsBlocked
+    };
+  }
+
+  /**
+   * Get elapsed time in seconds, frozen once the session finished
+   * @returns {number} - Time in seconds
+   */
+  getElapsedTime() {
+    if (this.startAt === null) {
+      // Fallback: if the clock never started but text exists, estimate ~3 characters per second (20 WPM baseline)
+      if (this.typedText.length > 0) {
+        return Math.max(1, this.typedText.length / 3);
+      }
+      return 0;
+    }
+    const end = this.finishedAt !== null ? this.finishedAt : this.clock.now();
+    return (end - this.startAt) / 1000;
+  }
+}